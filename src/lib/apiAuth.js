@@ -0,0 +1,229 @@
+// src/lib/apiAuth.js
+import fs from "node:fs";
+import crypto from "node:crypto";
+
+/**
+ * API keys for the generator endpoints (app creation, version releases, distribution links,
+ * the app inventory and the jobs they start). Every key has a name, which is what the audit log records.
+ *
+ * Keys (API_KEYS_PATH file or API_KEYS_JSON inline; re-read on every call):
+ * {
+ *   "keys": {
+ *     "retool": {
+ *       "secret_env": "API_KEY_RETOOL",        (env var holding the secret; or "secret": "..." inline)
+ *       "endpoints": ["app-generator"],        (optional; any of API_SCOPES below, default all)
+ *       "profiles": ["main"],                  (optional; organization profiles it may use, default all)
+ *       "signed_only": true,                   (optional; refuse the secret as a bearer token)
+ *       "rate_limit": { "requests": 10, "per_seconds": 60 }  (optional; default API_RATE_LIMIT_PER_MINUTE)
+ *     }
+ *   }
+ * }
+ *
+ * Unless the file defines a key named "default", API_KEY becomes one with every scope, so a
+ * single-client deployment only needs that env var.
+ *
+ * A request authenticates either way:
+ * - Authorization: Bearer <secret>
+ * - signed: X-Api-Key: <key name>, X-Timestamp: <unix seconds>, and
+ *   X-Signature: hex HMAC-SHA256(secret, "<timestamp>.<METHOD>.<path and query>.<raw body>");
+ *   a signature is accepted once, within API_SIGNATURE_TOLERANCE_SECONDS of its timestamp
+ *
+ * Expects env vars:
+ * - API_KEYS_PATH / API_KEYS_JSON and/or API_KEY
+ * - API_AUTH (optional; "off" leaves the generator endpoints open, for local development only)
+ * - API_RATE_LIMIT_PER_MINUTE (optional; default for keys without rate_limit, default 30)
+ * - API_SIGNATURE_TOLERANCE_SECONDS (optional; default 300)
+ */
+
+export const DEFAULT_KEY = "default";
+
+// Job types a key may start, plus "credentials" (reading an app's client secret from the vault);
+// "app-inventory" also covers reading the cached inventory (GET /shopify/apps)
+export const API_SCOPES = [
+  "app-generator",
+  "release-version",
+  "distribution-links",
+  "scrape-credentials",
+  "rotate-secret",
+  "app-inventory",
+  "credentials",
+];
+
+const MIN_SECRET_LENGTH = 16;
+
+// key name -> timestamps (ms) of its recent rate-limited requests
+const windows = new Map();
+// signature -> expiry (ms), so a captured signed request can't be replayed
+const seenSignatures = new Map();
+
+// Configuration problems; the server refuses to start on these.
+function apiKeysError(message) {
+  const err = new Error(message);
+  err.name = "ApiKeysError";
+  return err;
+}
+
+// Requests that don't authenticate, aren't allowed or are over their limit; `status` is the HTTP status.
+function authError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.name = "ApiAuthError";
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function apiAuthDisabled() {
+  return String(process.env.API_AUTH || "").trim().toLowerCase() === "off";
+}
+
+function readKeysConfig() {
+  if (process.env.API_KEYS_PATH) {
+    try {
+      return JSON.parse(fs.readFileSync(process.env.API_KEYS_PATH, "utf8"));
+    } catch (err) {
+      throw apiKeysError(`Invalid API_KEYS_PATH file: ${err.message}`);
+    }
+  }
+
+  const json = process.env.API_KEYS_JSON?.trim();
+  if (json) {
+    try {
+      return JSON.parse(json);
+    } catch {
+      throw apiKeysError("Invalid API_KEYS_JSON (must be valid JSON)");
+    }
+  }
+
+  return { keys: {} };
+}
+
+function listOption(name, field, value, allowed = null) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+    throw apiKeysError(`API key "${name}": ${field} must be an array of strings`);
+  }
+  const unknown = allowed ? value.filter((v) => !allowed.includes(v)) : [];
+  if (unknown.length) throw apiKeysError(`API key "${name}": unknown ${field} ${unknown.join(", ")}`);
+  return value;
+}
+
+function normalizeKey(name, raw) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw apiKeysError(`Invalid API key name "${name}" (letters, digits, - or _)`);
+  if (!raw || typeof raw !== "object") throw apiKeysError(`API key "${name}" must be an object`);
+
+  const secret = raw.secret_env ? process.env[raw.secret_env] : raw.secret;
+  if (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH) {
+    const where = raw.secret_env ? `env var ${raw.secret_env}` : "secret";
+    throw apiKeysError(`API key "${name}": ${where} must be set to at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  const limit = raw.rate_limit ?? { requests: envNumber("API_RATE_LIMIT_PER_MINUTE", 30), per_seconds: 60 };
+  if (!(limit.requests > 0) || !(limit.per_seconds > 0)) {
+    throw apiKeysError(`API key "${name}": rate_limit needs positive requests and per_seconds`);
+  }
+
+  return {
+    name,
+    secret,
+    endpoints: listOption(name, "endpoints", raw.endpoints, API_SCOPES),
+    profiles: listOption(name, "profiles", raw.profiles),
+    signed_only: raw.signed_only === true,
+    rate_limit: { requests: Number(limit.requests), per_seconds: Number(limit.per_seconds) },
+  };
+}
+
+// All keys, validated: { name: key }
+export function loadApiKeys() {
+  const raw = { ...(readKeysConfig().keys || {}) };
+  if (!raw[DEFAULT_KEY] && process.env.API_KEY) raw[DEFAULT_KEY] = { secret_env: "API_KEY" };
+  return Object.fromEntries(Object.entries(raw).map(([name, k]) => [name, normalizeKey(name, k)]));
+}
+
+function sameSecret(given, expected) {
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function checkSignature(req, keys) {
+  const name = req.get("X-Api-Key");
+  const key = keys[name];
+  if (!key) throw authError(401, "Unknown API key", { key: name });
+
+  const timestamp = req.get("X-Timestamp") || "";
+  const toleranceMs = envNumber("API_SIGNATURE_TOLERANCE_SECONDS", 300) * 1000;
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() - Number(timestamp) * 1000) > toleranceMs) {
+    throw authError(401, "X-Timestamp missing or outside the allowed window", { key: name });
+  }
+
+  const signed = `${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody ? req.rawBody.toString("utf8") : ""}`;
+  const expected = crypto.createHmac("sha256", key.secret).update(signed).digest("hex");
+  const given = String(req.get("X-Signature") || "").replace(/^sha256=/i, "").toLowerCase();
+  if (!sameSecret(given, expected)) throw authError(401, "Invalid signature", { key: name });
+
+  const now = Date.now();
+  for (const [sig, expires] of seenSignatures) {
+    if (expires <= now) seenSignatures.delete(sig);
+  }
+  if (seenSignatures.has(expected)) throw authError(401, "Signature already used", { key: name });
+  seenSignatures.set(expected, now + toleranceMs);
+
+  return { key, method: "signature" };
+}
+
+/**
+ * The API key a request authenticates with: { key, method: "bearer" | "signature" }.
+ * Throws an ApiAuthError (401) when it doesn't.
+ */
+export function authenticateRequest(req) {
+  const keys = loadApiKeys();
+
+  if (req.get("X-Signature")) return checkSignature(req, keys);
+
+  const bearer = (req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+  if (!bearer) throw authError(401, "Missing API key (Authorization: Bearer <key> or a signed request)");
+
+  // Compare against every key so the time taken doesn't tell which names exist
+  let match = null;
+  for (const key of Object.values(keys)) {
+    if (sameSecret(bearer, key.secret) && !match) match = key;
+  }
+  if (!match) throw authError(401, "Invalid API key");
+  if (match.signed_only) throw authError(401, "This API key only accepts signed requests", { key: match.name });
+
+  return { key: match, method: "bearer" };
+}
+
+// Whether `key` may use `endpoint` (a job type) for `profile`; omitted checks pass.
+export function keyAllows(key, { endpoint, profile } = {}) {
+  if (endpoint && key.endpoints && !key.endpoints.includes(endpoint)) return false;
+  if (profile && key.profiles && !key.profiles.includes(profile)) return false;
+  return true;
+}
+
+// Count a request against the key's rate limit: { limit, remaining, reset_seconds }.
+// Throws an ApiAuthError (429, with retry_after_seconds) when the key is over it.
+export function takeRateLimit(key) {
+  const { requests, per_seconds } = key.rate_limit;
+  const now = Date.now();
+  const recent = (windows.get(key.name) || []).filter((t) => t > now - per_seconds * 1000);
+  const reset_seconds = recent.length ? Math.ceil((recent[0] + per_seconds * 1000 - now) / 1000) : per_seconds;
+
+  if (recent.length >= requests) {
+    windows.set(key.name, recent);
+    throw authError(429, `Rate limit of ${requests} requests per ${per_seconds}s exceeded`, {
+      key: key.name,
+      limit: requests,
+      retry_after_seconds: reset_seconds,
+    });
+  }
+
+  recent.push(now);
+  windows.set(key.name, recent);
+  return { limit: requests, remaining: requests - recent.length, reset_seconds };
+}
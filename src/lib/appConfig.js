@@ -0,0 +1,244 @@
+// src/lib/appConfig.js
+
+/**
+ * Per-run app configuration: a declarative spec for the versions/new form.
+ *
+ * Precedence (later wins): built-in defaults -> env -> profile `app_spec` (see profiles.js)
+ * -> request `app_spec` -> top-level request fields.
+ *
+ * Env defaults:
+ * - APP_URL
+ * - REDIRECT_URL (one URL, or several separated by commas/newlines)
+ * - SCOPES_CSV
+ * - OPTIONAL_SCOPES_CSV (optional)
+ * - APP_EMBEDDED (optional; default off)
+ * - APP_NAME_TEMPLATE (optional; default "{brand_name} x Retention")
+ * - APP_SPEC_JSON (optional; any part of the spec below, as JSON)
+ *
+ * Spec shape:
+ * {
+ *   app_url, redirect_urls[], scopes[], optional_scopes[], embedded, app_name_template,
+ *   preferences_url,
+ *   webhooks: { api_version, subscriptions: [{ topics[], uri }] },
+ *   compliance: { customers_data_request_url, customers_redact_url, shop_redact_url },
+ *   app_proxy: { prefix, subpath, url } | null,
+ *   pos: { embedded }
+ * }
+ *
+ * The form is made to match the spec: empty values (null / "" / []) clear their field, and
+ * webhook subscriptions or an app proxy the spec doesn't list are removed. Only
+ * webhooks.api_version null keeps what Shopify selects.
+ */
+
+export const DEFAULT_APP_NAME_TEMPLATE = "{brand_name} x Retention";
+
+export const APP_PROXY_PREFIXES = ["apps", "a", "community", "tools"];
+
+export const DEFAULT_APP_SPEC = {
+  app_url: "",
+  redirect_urls: [],
+  scopes: [],
+  optional_scopes: [],
+  embedded: false,
+  app_name_template: DEFAULT_APP_NAME_TEMPLATE,
+  preferences_url: "",
+  webhooks: { api_version: null, subscriptions: [] },
+  compliance: { customers_data_request_url: "", customers_redact_url: "", shop_redact_url: "" },
+  app_proxy: null,
+  pos: { embedded: false },
+};
+
+// Top-level request fields accepted as shorthand for the same spec keys.
+export const APP_CONFIG_FIELDS = [
+  "app_url",
+  "redirect_urls",
+  "scopes",
+  "optional_scopes",
+  "embedded",
+  "app_name_template",
+];
+
+function toList(v) {
+  if (v === undefined || v === null) return [];
+  const items = Array.isArray(v) ? v : String(v).split(/[\n,]/);
+  return items.map((x) => String(x).trim()).filter(Boolean);
+}
+
+function toBool(v, fallback) {
+  if (v === undefined || v === null || v === "") return fallback;
+  if (typeof v === "boolean") return v;
+  const s = String(v).trim().toLowerCase();
+  return s === "1" || s === "true" || s === "yes" || s === "on";
+}
+
+function isHttpsUrl(v) {
+  try {
+    return new URL(v).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Objects merge key by key; arrays and scalars replace. `undefined` never overrides.
+function merge(base, patch) {
+  if (!isPlainObject(patch)) return patch === undefined ? base : patch;
+  if (!isPlainObject(base)) base = {};
+
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === undefined) continue;
+    out[k] = merge(base[k], v);
+  }
+  return out;
+}
+
+function envSpec() {
+  let fromJson = {};
+  const json = process.env.APP_SPEC_JSON?.trim();
+  if (json) {
+    try {
+      fromJson = JSON.parse(json);
+    } catch {
+      throw new Error("Invalid APP_SPEC_JSON (must be valid JSON)");
+    }
+  }
+
+  return merge(fromJson, {
+    app_url: process.env.APP_URL || undefined,
+    redirect_urls: process.env.REDIRECT_URL || undefined,
+    scopes: process.env.SCOPES_CSV || undefined,
+    optional_scopes: process.env.OPTIONAL_SCOPES_CSV || undefined,
+    embedded: process.env.APP_EMBEDDED || undefined,
+    app_name_template: process.env.APP_NAME_TEMPLATE || undefined,
+  });
+}
+
+function normalize(spec) {
+  const webhooks = isPlainObject(spec.webhooks) ? spec.webhooks : {};
+  const compliance = isPlainObject(spec.compliance) ? spec.compliance : {};
+  const proxy = isPlainObject(spec.app_proxy) ? spec.app_proxy : null;
+
+  return {
+    app_url: String(spec.app_url ?? "").trim(),
+    redirect_urls: toList(spec.redirect_urls),
+    scopes: toList(spec.scopes),
+    optional_scopes: toList(spec.optional_scopes),
+    embedded: toBool(spec.embedded, false),
+    app_name_template: String(spec.app_name_template ?? DEFAULT_APP_NAME_TEMPLATE),
+    preferences_url: String(spec.preferences_url ?? "").trim(),
+    webhooks: {
+      api_version: webhooks.api_version ? String(webhooks.api_version).trim() : null,
+      subscriptions: (Array.isArray(webhooks.subscriptions) ? webhooks.subscriptions : []).map((sub) => ({
+        topics: toList(sub?.topics ?? sub?.topic),
+        uri: String(sub?.uri ?? "").trim(),
+      })),
+    },
+    compliance: {
+      customers_data_request_url: String(compliance.customers_data_request_url ?? "").trim(),
+      customers_redact_url: String(compliance.customers_redact_url ?? "").trim(),
+      shop_redact_url: String(compliance.shop_redact_url ?? "").trim(),
+    },
+    app_proxy: proxy
+      ? {
+          prefix: String(proxy.prefix ?? "apps").trim(),
+          subpath: String(proxy.subpath ?? "").trim(),
+          url: String(proxy.url ?? "").trim(),
+        }
+      : null,
+    pos: { embedded: toBool(spec.pos?.embedded, false) },
+  };
+}
+
+/**
+ * Build the full spec for one run.
+ * `overrides` is the request's `app_spec` merged with any top-level shorthand fields;
+ * `profile` is the organization profile the run belongs to (its `app_spec` sits between env and request).
+ */
+export function resolveAppConfig(overrides = {}, profile = null) {
+  return normalize(merge(merge(merge(DEFAULT_APP_SPEC, envSpec()), profile?.app_spec || {}), overrides));
+}
+
+// Apply a partial spec on top of a full one (e.g. request overrides on top of an app's current version).
+export function mergeAppConfig(base, overrides = {}) {
+  return normalize(merge(base, overrides));
+}
+
+// Fields the versions form doesn't carry, so they never show up in a before/after diff.
+const NON_FORM_FIELDS = new Set(["app_name_template"]);
+
+function flatten(obj, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (!prefix && NON_FORM_FIELDS.has(k)) continue;
+    if (isPlainObject(v)) flatten(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+// { "scopes": { before: [...], after: [...] }, "app_proxy.url": { ... } } for every field that changed.
+export function diffAppConfig(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const diff = {};
+
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null)) {
+      diff[key] = { before: a[key] ?? null, after: b[key] ?? null };
+    }
+  }
+  return diff;
+}
+
+// Returns a list of problems (empty when the config is usable).
+export function validateAppConfig(config) {
+  const errors = [];
+
+  if (!config.app_url) errors.push("app_url is required (or set APP_URL)");
+  else if (!isHttpsUrl(config.app_url)) errors.push("app_url must be an https URL");
+
+  if (!config.redirect_urls.length) errors.push("redirect_urls is required (or set REDIRECT_URL)");
+  for (const u of config.redirect_urls) {
+    if (!isHttpsUrl(u)) errors.push(`redirect_urls entry must be an https URL: ${u}`);
+  }
+
+  if (!config.scopes.length) errors.push("scopes is required (or set SCOPES_CSV)");
+  if (!config.app_name_template.trim()) errors.push("app_name_template must not be empty");
+
+  if (config.preferences_url && !isHttpsUrl(config.preferences_url)) {
+    errors.push("preferences_url must be an https URL");
+  }
+
+  const { api_version, subscriptions } = config.webhooks;
+  if (api_version && !/^(\d{4}-\d{2}|unstable)$/.test(api_version)) {
+    errors.push(`webhooks.api_version must look like 2025-10 (got "${api_version}")`);
+  }
+  subscriptions.forEach((sub, i) => {
+    if (!sub.topics.length) errors.push(`webhooks.subscriptions[${i}].topics is required`);
+    if (!isHttpsUrl(sub.uri)) errors.push(`webhooks.subscriptions[${i}].uri must be an https URL`);
+  });
+
+  for (const [k, v] of Object.entries(config.compliance)) {
+    if (v && !isHttpsUrl(v)) errors.push(`compliance.${k} must be an https URL`);
+  }
+
+  if (config.app_proxy) {
+    const { prefix, subpath, url } = config.app_proxy;
+    if (!APP_PROXY_PREFIXES.includes(prefix)) {
+      errors.push(`app_proxy.prefix must be one of ${APP_PROXY_PREFIXES.join(", ")}`);
+    }
+    if (!/^[a-z0-9_-]+$/i.test(subpath)) errors.push("app_proxy.subpath is required (letters, digits, - or _)");
+    if (!isHttpsUrl(url)) errors.push("app_proxy.url must be an https URL");
+  }
+
+  return errors;
+}
+
+// "{brand_name} x Retention" -> "Acme x Retention"; unknown placeholders are left as-is.
+export function renderAppName(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m)).trim();
+}
@@ -0,0 +1,171 @@
+// src/lib/appInventory.js
+import { storagePath, writeJsonAtomic, readJson } from "./storage.js";
+import { JOB_STATUS, listJobs } from "./jobStore.js";
+import { listVaultedApps, credentialsRef } from "./credentialVault.js";
+import { loadProfiles } from "./profiles.js";
+
+/**
+ * Inventory of an organization's apps (GET /shopify/apps): the Dev Dashboard apps list as the
+ * last "app-inventory" job read it, cached per profile in <STORAGE_DIR>/inventory/<profile>.json
+ * and cross-referenced, on every read, with the jobs and vault records of this service.
+ *
+ * Per listed app: what the list shows (app_id, name, active_version, released_at, distribution)
+ * plus
+ * - managed: an app-generator job of this service created (or reused) it; brand_name and
+ *   store_domains come from those jobs
+ * - jobs: every job that touched it, newest first
+ * - credentials: reference to its vault record, if any
+ * - abandoned_reasons: no_active_version, not_distributed (no custom distribution chosen) and
+ *   generator_failed (its last app-generator job failed and was never resumed); none while a
+ *   job for the app is still queued or running
+ *
+ * Apps this service knows about that the list no longer shows (deleted in the dashboard) are
+ * reported apart, under missing_from_dashboard.
+ *
+ * Expects env vars:
+ * - APP_INVENTORY_MAX_AGE_MINUTES (optional; a cached list older than this is re-read on the next request, default 60)
+ * - APP_INVENTORY_MAX_PAGES (optional; pages of the apps list one run reads, default 50)
+ */
+
+const MAX_JOBS_PER_APP = 10;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function inventoryMaxPages() {
+  return Math.floor(envNumber("APP_INVENTORY_MAX_PAGES", 50));
+}
+
+function inventoryPath(profileName) {
+  return storagePath("inventory", `${profileName}.json`);
+}
+
+// Cache what a run read: { profile, scraped_at, pages, truncated, fields, apps, run_id }
+export function saveInventory(profileName, { run_id, scraped_at, pages, truncated, fields, apps }) {
+  writeJsonAtomic(inventoryPath(profileName), { profile: profileName, run_id, scraped_at, pages, truncated, fields, apps });
+}
+
+export function loadInventory(profileName) {
+  return readJson(inventoryPath(profileName));
+}
+
+export function inventoryIsStale(snapshot) {
+  const maxAgeMs = envNumber("APP_INVENTORY_MAX_AGE_MINUTES", 60) * 60_000;
+  return !snapshot || Date.now() - Date.parse(snapshot.scraped_at) > maxAgeMs;
+}
+
+function isActive(job) {
+  return job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+}
+
+// What this service did per app of the profile: app id -> { jobs (oldest first), generator jobs }
+function serviceRecords(profileName) {
+  const defaultName = loadProfiles().default;
+  const byApp = new Map();
+
+  for (const job of listJobs()) {
+    if ((job.input?.profile ?? defaultName) !== profileName) continue;
+    const appId = job.checkpoint?.app_id || job.result?.app_id || job.input?.app_id;
+    if (!appId) continue;
+
+    const record = byApp.get(String(appId)) || { jobs: [], generators: [] };
+    record.jobs.push(job);
+    if (job.type === "app-generator") record.generators.push(job);
+    byApp.set(String(appId), record);
+  }
+  return byApp;
+}
+
+function jobSummary(job) {
+  return {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    requested_by: job.requested_by ?? null,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+  };
+}
+
+// brand_name, store_domains and jobs of one app from what this service did with it
+function serviceView(record) {
+  const jobs = record?.jobs || [];
+  const generators = record?.generators || [];
+  const domains = jobs.flatMap((j) => [j.input?.store_domain, ...(j.input?.store_domains || [])]).filter(Boolean);
+
+  return {
+    managed: generators.length > 0,
+    brand_name: generators.at(-1)?.input?.brand_name ?? null,
+    store_domains: [...new Set(domains)],
+    jobs: jobs.slice(-MAX_JOBS_PER_APP).reverse().map(jobSummary),
+  };
+}
+
+function abandonedReasons(app, record, fields) {
+  if (record?.jobs.some(isActive)) return [];
+
+  const reasons = [];
+  if (fields.includes("active_version") && !app.active_version) reasons.push("no_active_version");
+  if (fields.includes("distribution") && (!app.distribution || /not (selected|set)|none/i.test(app.distribution))) {
+    reasons.push("not_distributed");
+  }
+  if (record?.generators.at(-1)?.status === JOB_STATUS.FAILED) reasons.push("generator_failed");
+  return reasons;
+}
+
+/**
+ * The cached list of `profileName`'s apps joined with this service's jobs and vault:
+ * { apps, missing_from_dashboard, summary }.
+ */
+export function buildInventory(snapshot, profileName) {
+  const records = serviceRecords(profileName);
+  const vaulted = new Map(listVaultedApps().filter((v) => v.profile === profileName).map((v) => [v.app_id, v]));
+  const fields = snapshot.fields || [];
+
+  const apps = snapshot.apps.map((listed) => {
+    const record = records.get(listed.app_id);
+    const abandoned_reasons = abandonedReasons(listed, record, fields);
+    return {
+      ...listed,
+      ...serviceView(record),
+      credentials: vaulted.has(listed.app_id) ? credentialsRef(listed.app_id) : null,
+      abandoned: abandoned_reasons.length > 0,
+      abandoned_reasons,
+    };
+  });
+
+  // Only a complete list can tell an app is gone
+  const listedIds = new Set(snapshot.apps.map((a) => a.app_id));
+  const known = new Set([...records.keys(), ...vaulted.keys()]);
+  const missing = snapshot.truncated
+    ? []
+    : [...known]
+        .filter((id) => !listedIds.has(id))
+        .map((id) => ({
+          app_id: id,
+          app_name: vaulted.get(id)?.app_name ?? records.get(id)?.generators.at(-1)?.checkpoint?.app_name ?? null,
+          ...serviceView(records.get(id)),
+          credentials: vaulted.has(id) ? credentialsRef(id) : null,
+        }));
+
+  const brands = {};
+  for (const app of apps) {
+    if (app.brand_name) (brands[app.brand_name] ||= []).push(app.app_id);
+  }
+
+  return {
+    apps,
+    missing_from_dashboard: missing,
+    summary: {
+      apps: apps.length,
+      managed: apps.filter((a) => a.managed).length,
+      unmanaged: apps.filter((a) => !a.managed).length,
+      abandoned: apps.filter((a) => a.abandoned).length,
+      missing_from_dashboard: missing.length,
+      // managed apps per brand; more than one id means the brand got duplicates
+      brands,
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// src/lib/audit.js
+import fs from "node:fs";
+import { storagePath } from "./storage.js";
+import { log } from "./logger.js";
+
+/**
+ * Audit log of the generator API: which API key did what (or was refused), one JSON line per
+ * event in <STORAGE_DIR>/audit.log. Appended to only; nothing here rotates it.
+ *
+ * Events:
+ * - job.created / job.resumed: a key started (or resumed) a job: job_id, type, profile, the app or brand it is for
+ * - job.succeeded / job.failed: that job finished (app_id once known)
+ * - credentials.read: a key read an app's stored credentials (secret_revealed: whether the secret was in it)
+ * - auth.failed, auth.forbidden, auth.rate_limited: a refused request
+ */
+
+const AUDIT_FILE = storagePath("audit.log");
+
+// Append one event. Never throws: a full disk must not fail the request being audited.
+export function audit(event, fields = {}) {
+  const entry = { time: new Date().toISOString(), event, ...fields };
+  try {
+    fs.mkdirSync(storagePath(), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    log.error("Audit write failed:", err, { audit: entry });
+  }
+}
+
+// Newest first, filtered on any of key / event / job_id / app_id.
+export function readAudit({ key, event, job_id, app_id, limit = 100 } = {}) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(AUDIT_FILE, "utf8").split("\n").filter(Boolean);
+  } catch {
+    return [];
+  }
+
+  const match = { key, event, job_id, app_id };
+  const out = [];
+  for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (Object.entries(match).every(([k, v]) => v === undefined || entry[k] === v)) out.push(entry);
+  }
+  return out;
+}
@@ -0,0 +1,96 @@
+// src/lib/browser.js
+import { chromium } from "playwright";
+import { log } from "./logger.js";
+
+/**
+ * One Chromium process shared by runs and session probes; each of them gets its own
+ * isolated context (cookies, storage, permissions) from newIsolatedContext().
+ *
+ * The browser is launched on first use, relaunched if it crashes or disconnects, and
+ * closed again once no context has been open for BROWSER_IDLE_SECONDS.
+ *
+ * Expects env vars:
+ * - PW_HEADED=1 (optional; headed mode for debugging locally)
+ * - RENDER (set on Render; adds the sandbox flags its containers need)
+ * - BROWSER_IDLE_SECONDS (optional; close the idle browser after this long, default 300, 0 keeps it open)
+ */
+
+let shared = null; // Promise<Browser>
+let openContexts = 0;
+let idleTimer = null;
+
+function launchBrowser() {
+  return chromium.launch({
+    headless: process.env.PW_HEADED !== "1",
+    slowMo: process.env.PW_HEADED === "1" ? 150 : 0,
+    args: process.env.RENDER ? ["--no-sandbox", "--disable-dev-shm-usage"] : undefined,
+  });
+}
+
+function idleSeconds() {
+  const n = Number(process.env.BROWSER_IDLE_SECONDS ?? 300);
+  return Number.isFinite(n) && n >= 0 ? n : 300;
+}
+
+function sharedBrowser() {
+  if (!shared) {
+    const launching = launchBrowser().then((browser) => {
+      browser.on("disconnected", () => {
+        if (shared === launching) shared = null;
+        log.info("Shared browser disconnected");
+      });
+      log.info("Shared browser launched");
+      return browser;
+    });
+    // A failed launch must not stick: the next caller tries again
+    launching.catch(() => {
+      if (shared === launching) shared = null;
+    });
+    shared = launching;
+  }
+  return shared;
+}
+
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  const seconds = idleSeconds();
+  if (!seconds) return;
+
+  idleTimer = setTimeout(async () => {
+    if (openContexts || !shared) return;
+    const closing = shared;
+    shared = null;
+    log.info(`Closing shared browser (idle ${seconds}s)`);
+    await (await closing.catch(() => null))?.close().catch(() => {});
+  }, seconds * 1000);
+  idleTimer.unref();
+}
+
+/**
+ * A fresh context in the shared browser. Callers close the context (not the browser)
+ * when they are done; that is what lets the browser go idle.
+ */
+export async function newIsolatedContext(options = {}) {
+  clearTimeout(idleTimer);
+  openContexts++;
+
+  let context;
+  try {
+    context = await (await sharedBrowser()).newContext(options);
+  } catch (err) {
+    openContexts--;
+    if (!openContexts) scheduleIdleClose();
+    throw err;
+  }
+
+  // Also fires when the browser itself goes away, so the count never leaks
+  context.once("close", () => {
+    openContexts--;
+    if (!openContexts) scheduleIdleClose();
+  });
+  return context;
+}
+
+export function browserPoolStatus() {
+  return { launched: !!shared, open_contexts: openContexts, idle_close_seconds: idleSeconds() };
+}
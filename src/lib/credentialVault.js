@@ -0,0 +1,211 @@
+// src/lib/credentialVault.js
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { storagePath, writeJsonAtomic, readJson } from "./storage.js";
+
+/**
+ * Encrypted store of every app's credentials: one file per app under <STORAGE_DIR>/vault,
+ * holding its client ID, client secret and install links (store domain -> link) sealed with
+ * AES-256-GCM. Job results only carry a reference (see credentialsRef); the values are read
+ * back through GET /apps/:appId/credentials.
+ *
+ * The secret is revealed once: the first read returns it and records who read it, later reads
+ * only get the client ID and links. Storing a different secret (a re-scrape after rotating it)
+ * makes it readable once again.
+ *
+ * Every save merges into what the app already has (a distribution-links run only adds links,
+ * a re-scrape replaces the ID/secret) and appends to the record's plain-text history, which
+ * names the run and a fingerprint of the secret it stored, never the secret itself.
+ *
+ * Key rotation: put the new key in CREDENTIALS_KEY and the old one in CREDENTIALS_PREVIOUS_KEYS;
+ * records stay readable and are re-sealed with the new key on their next save.
+ *
+ * Expects env vars:
+ * - CREDENTIALS_KEY (32 bytes, base64 or hex: `openssl rand -base64 32`)
+ * - CREDENTIALS_PREVIOUS_KEYS (optional; comma-separated keys that only decrypt)
+ */
+
+const APP_ID = /^\d+$/;
+const MAX_HISTORY = 20;
+
+// Missing or malformed keys; the server refuses to start on these.
+function vaultError(message) {
+  const err = new Error(message);
+  err.name = "VaultError";
+  return err;
+}
+
+function parseKey(value, name) {
+  const v = String(value || "").trim();
+  const buf = /^[0-9a-f]{64}$/i.test(v) ? Buffer.from(v, "hex") : Buffer.from(v, "base64");
+  if (buf.length !== 32) throw vaultError(`${name} must be 32 bytes, base64 or hex encoded`);
+  return { id: crypto.createHash("sha256").update(buf).digest("hex").slice(0, 12), key: buf };
+}
+
+// { current, all: { key_id: key } }; throws a VaultError when CREDENTIALS_KEY is unusable
+export function loadVaultKeys() {
+  if (!process.env.CREDENTIALS_KEY) throw vaultError("CREDENTIALS_KEY is not set (generate one with `openssl rand -base64 32`)");
+
+  const current = parseKey(process.env.CREDENTIALS_KEY, "CREDENTIALS_KEY");
+  const previous = String(process.env.CREDENTIALS_PREVIOUS_KEYS || "")
+    .split(",")
+    .filter((v) => v.trim())
+    .map((v) => parseKey(v, "CREDENTIALS_PREVIOUS_KEYS"));
+
+  return { current, all: Object.fromEntries([current, ...previous].map((k) => [k.id, k.key])) };
+}
+
+function vaultPath(appId) {
+  return storagePath("vault", `${appId}.json`);
+}
+
+function seal(values, { current }, appId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", current.key, iv);
+  // The app id is bound in, so a sealed blob copied into another app's file won't open
+  cipher.setAAD(Buffer.from(String(appId)));
+  const data = Buffer.concat([cipher.update(JSON.stringify(values), "utf8"), cipher.final()]);
+  return {
+    key_id: current.id,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function open(sealed, { all }, appId) {
+  const key = all[sealed.key_id];
+  if (!key) throw vaultError(`Credentials of app ${appId} are sealed with an unknown key (${sealed.key_id})`);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(sealed.iv, "base64"));
+  decipher.setAAD(Buffer.from(String(appId)));
+  decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(sealed.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+function fingerprint(secret) {
+  return secret ? crypto.createHash("sha256").update(secret).digest("hex").slice(0, 12) : null;
+}
+
+/**
+ * Save (merge) an app's credentials. `values` may hold client_id, client_secret and
+ * distribution_links ({ store_domain: link }); anything omitted keeps its stored value.
+ * `meta` (profile, app_name, run_id, source) is kept in plain text.
+ */
+export function storeCredentials(appId, values, { profile = null, app_name = null, run_id = null, source = null } = {}) {
+  if (!APP_ID.test(String(appId))) throw new Error(`Invalid app id: ${appId}`);
+
+  const keys = loadVaultKeys();
+  const existing = readJson(vaultPath(appId));
+  const previous = existing ? open(existing.sealed, keys, appId) : {};
+
+  const next = {
+    client_id: values.client_id || previous.client_id || null,
+    client_secret: values.client_secret || previous.client_secret || null,
+    distribution_links: { ...previous.distribution_links, ...values.distribution_links },
+  };
+
+  const ts = new Date().toISOString();
+  const entry = {
+    stored_at: ts,
+    run_id,
+    source,
+    fields: Object.keys(values).filter((k) => values[k] && (k !== "distribution_links" || Object.keys(values[k]).length)),
+    secret_fingerprint: fingerprint(next.client_secret),
+    secret_changed: !!previous.client_secret && fingerprint(previous.client_secret) !== fingerprint(next.client_secret),
+  };
+
+  const record = {
+    app_id: String(appId),
+    profile: profile || existing?.profile || null,
+    app_name: app_name || existing?.app_name || null,
+    created_at: existing?.created_at || ts,
+    updated_at: ts,
+    sealed: seal(next, keys, appId),
+    history: [...(existing?.history || []), entry].slice(-MAX_HISTORY),
+    // Only a secret that was already handed out stays marked as revealed
+    revealed: entry.secret_changed || !previous.client_secret ? null : existing?.revealed || null,
+  };
+
+  writeJsonAtomic(vaultPath(appId), record);
+  return credentialsRef(appId);
+}
+
+/**
+ * Decrypted credentials plus the record's metadata, or null when nothing is stored for the app.
+ * The first call for a stored secret includes it and marks it revealed (`by`: who asked); after
+ * that `client_secret` is null and `revealed` says when and to whom it went.
+ */
+export function revealCredentials(appId, { by = null } = {}) {
+  if (!APP_ID.test(String(appId))) return null;
+
+  const record = readJson(vaultPath(appId));
+  if (!record) return null;
+
+  const values = open(record.sealed, loadVaultKeys(), appId);
+  const alreadyRevealed = !!record.revealed;
+  if (!alreadyRevealed && values.client_secret) {
+    writeJsonAtomic(vaultPath(appId), { ...record, revealed: { at: new Date().toISOString(), by } });
+  }
+
+  return {
+    app_id: record.app_id,
+    profile: record.profile,
+    app_name: record.app_name,
+    client_id: values.client_id,
+    client_secret: alreadyRevealed ? null : values.client_secret,
+    distribution_links: values.distribution_links,
+    revealed: record.revealed || null,
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    history: record.history,
+  };
+}
+
+// The stored secret for the service's own use (e.g. to tell a rotated one apart); not a reveal
+export function storedSecret(appId) {
+  const record = APP_ID.test(String(appId)) ? readJson(vaultPath(appId)) : null;
+  return record ? open(record.sealed, loadVaultKeys(), appId).client_secret || null : null;
+}
+
+// Profile the app's credentials were stored under (null when nothing is stored), without decrypting
+export function vaultedProfile(appId) {
+  const record = APP_ID.test(String(appId)) ? readJson(vaultPath(appId)) : null;
+  return record ? record.profile : null;
+}
+
+// Plain-text metadata of every stored app (nothing is decrypted): app_id, profile, app_name, stored_at, secret_revealed
+export function listVaultedApps() {
+  let files = [];
+  try {
+    files = fs.readdirSync(storagePath("vault")).filter((f) => /^\d+\.json$/.test(f));
+  } catch {
+    return [];
+  }
+
+  return files
+    .map((f) => readJson(storagePath("vault", f)))
+    .filter(Boolean)
+    .map((record) => ({
+      app_id: record.app_id,
+      profile: record.profile,
+      app_name: record.app_name,
+      stored_at: record.updated_at,
+      secret_revealed: !!record.revealed,
+    }));
+}
+
+// What a job result carries instead of the secret
+export function credentialsRef(appId) {
+  const record = APP_ID.test(String(appId)) ? readJson(vaultPath(appId)) : null;
+  if (!record) return null;
+
+  return {
+    app_id: record.app_id,
+    stored_at: record.updated_at,
+    secret_fingerprint: record.history.at(-1)?.secret_fingerprint ?? null,
+    secret_revealed: !!record.revealed,
+    url: `/apps/${record.app_id}/credentials`,
+  };
+}
@@ -0,0 +1,98 @@
+// src/lib/errors.js
+
+/**
+ * Run failure codes: what went wrong, the HTTP status a failed job answers with (also
+ * reported as error.http_status) and whether running it again (POST /jobs/:id/resume) can help.
+ *
+ * Errors are plain Errors built by shopifyError(), carrying:
+ * - code        one of ERROR_CODES (stable; clients branch on it, not on the message)
+ * - retryable   default from the table, overridable per error
+ * - step        job step the run was in (filled in by the run, see withRunContext)
+ * - url         page URL when it failed
+ * - partial     what the run already achieved (e.g. the app it created)
+ * - attempts    retry history of the run's steps (see retry.js)
+ *
+ * Anything thrown without a code is reported as INTERNAL.
+ */
+
+export const ERROR_CODES = {
+  // The run's input is unusable (missing brand_name, non-numeric app_id, ...); fix the request
+  INVALID_INPUT: { status: 400, retryable: false },
+  // The app config or organization profile the run resolved to is invalid
+  INVALID_CONFIG: { status: 422, retryable: false },
+  // The stored session no longer gets past Shopify Accounts; needs a fresh login
+  SESSION_EXPIRED: { status: 401, retryable: false },
+  // Partners asks for login / 2FA that cannot be completed headless
+  TWO_FACTOR_BLOCKED: { status: 403, retryable: false },
+  // No selector strategy matched: Shopify changed the page (see config/selectors.json)
+  SELECTOR_NOT_FOUND: { status: 502, retryable: true },
+  // A field was filled but reads back a different value
+  VALUE_DID_NOT_STICK: { status: 422, retryable: true },
+  // The Release button stayed disabled (form not valid / not saved)
+  RELEASE_DISABLED: { status: 409, retryable: false },
+  // The released version is not active or differs from the requested config
+  VERIFICATION_FAILED: { status: 409, retryable: true },
+  // The create form submitted but no app ID could be read from the URL
+  APP_ID_NOT_PARSED: { status: 502, retryable: false },
+  // The Partners distribution page never showed the custom distribution form
+  DISTRIBUTION_FORM_MISSING: { status: 502, retryable: true },
+  // No install link came back for a store domain
+  LINK_NOT_GENERATED: { status: 422, retryable: true },
+  // A secret rotation was confirmed but no new secret could be read back (it may still have
+  // rotated: re-scrape instead of rotating again)
+  SECRET_NOT_ROTATED: { status: 502, retryable: false },
+  // The apps list never showed its next page, so the inventory would be incomplete
+  INVENTORY_INCOMPLETE: { status: 502, retryable: true },
+  // The process restarted mid-run
+  INTERRUPTED: { status: 503, retryable: true },
+  INTERNAL: { status: 500, retryable: false },
+};
+
+export function shopifyError(code, message, { retryable, step, url, partial, ...extra } = {}) {
+  if (!ERROR_CODES[code]) throw new Error(`Unknown error code: ${code}`);
+
+  const err = new Error(message);
+  err.name = "ShopifyError";
+  err.code = code;
+  err.retryable = retryable ?? ERROR_CODES[code].retryable;
+  if (step) err.step = step;
+  if (url) err.url = url;
+  if (partial) err.partial = partial;
+  return Object.assign(err, extra);
+}
+
+// Add where the run was to an error, keeping whatever the thrower already set.
+export function withRunContext(err, { step, url, partial, attempts } = {}) {
+  if (!err || typeof err !== "object") return err;
+  if (err.step === undefined && step) err.step = step;
+  if (err.url === undefined && url) err.url = url;
+  if (partial && Object.keys(partial).length) err.partial = { ...partial, ...err.partial };
+  if (err.attempts === undefined && attempts?.length) err.attempts = attempts;
+  return err;
+}
+
+export function errorCode(err) {
+  return ERROR_CODES[err?.code] ? err.code : "INTERNAL";
+}
+
+export function httpStatusFor(err) {
+  return ERROR_CODES[errorCode(err)].status;
+}
+
+// JSON shape stored on failed jobs and returned to clients
+export function serializeError(err) {
+  const code = errorCode(err);
+  return {
+    code,
+    http_status: httpStatusFor(err),
+    message: err?.message || "Unknown error",
+    name: err?.name,
+    retryable: err?.retryable ?? ERROR_CODES[code].retryable,
+    step: err?.step || null,
+    url: err?.url || null,
+    partial: err?.partial || null,
+    attempts: err?.attempts,
+    // field-level diff when post-release verification fails
+    diff: err?.diff,
+  };
+}
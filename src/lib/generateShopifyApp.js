@@ -1,65 +1,65 @@
 // src/lib/generateShopifyApp.js
-import { chromium } from "playwright";
-import fs from "node:fs";
-import path from "node:path";
 import os from "node:os";
+import crypto from "node:crypto";
+import { captureNetworkValues } from "./networkCapture.js";
+import { bindSelectors, find, locate, selectorReport } from "./selectors.js";
+import { devUrl, partnersUrl, onShopifySite } from "./shopifyUrls.js";
+import { newIsolatedContext } from "./browser.js";
+import { withLock } from "./locks.js";
+import { shopifyError, withRunContext } from "./errors.js";
+import { withRetry } from "./retry.js";
+import { bindRunArtifacts, finishRunArtifacts, saveScreenshot, withTracingPaused } from "./runArtifacts.js";
+import { getStorageState, saveStorageState } from "./shopifySession.js";
+import { handoffEnabled, awaitRemoteLogin } from "./loginHandoff.js";
+import { resolveProfile } from "./profiles.js";
+import {
+  DEFAULT_APP_SPEC,
+  resolveAppConfig,
+  mergeAppConfig,
+  validateAppConfig,
+  diffAppConfig,
+  renderAppName,
+} from "./appConfig.js";
+import { log } from "./logger.js";
 
 /**
  * End-to-end Shopify Dev Dashboard -> create app -> configure version
- * -> release -> scrape client id/secret -> (attempt) generate custom distribution install link.
+ * -> release -> verify active version -> scrape client id/secret -> (attempt) generate custom distribution install link.
  *
  * IMPORTANT FINDING:
  * - Partners distribution step may redirect to Shopify Accounts login (accounts.shopify.com)
  *   and can require 2FA / Cloudflare verification.
- * - That flow cannot be completed in headless Render/Docker.
- * - We detect it, screenshot it, and fail with a clear error so callers know what happened.
+ * - That flow cannot be completed in headless Render/Docker on its own.
+ * - With SESSION_ADMIN_TOKEN set, the run pauses (step "awaiting-login") and hands the page to an
+ *   operator over a remote view (see loginHandoff.js); otherwise we screenshot it and fail with a clear error.
  *
  * Expects env vars:
- * - SHOPIFY_DEV_DASHBOARD_URL
- * - SHOPIFY_PARTNERS_ID (optional; default 2767396)
- * - APP_URL
- * - REDIRECT_URL
- * - SCOPES_CSV
+ * - SHOPIFY_DEV_DASHBOARD_URL + SHOPIFY_PARTNERS_ID, or PROFILES_PATH / PROFILES_JSON
+ *   (organization profiles; every entry point takes an optional `profile` name, see profiles.js)
+ * - APP_URL, REDIRECT_URL, SCOPES_CSV (defaults for the per-run `app_config`; see appConfig.js)
  * - PW_HEADED=1 (optional; headed mode for debugging locally)
+ * - SELECTORS_PATH / SELECTORS_JSON (optional; selector registry overrides, see selectors.js)
+ * - SHOPIFY_DEV_BASE_URL / SHOPIFY_PARTNERS_BASE_URL / SHOPIFY_ACCOUNTS_BASE_URL
+ *   (optional; default production, see shopifyUrls.js — the offline mock sets these)
+ * - ENABLE_SCREENSHOTS, RUN_TRACE (optional; what goes into the run's artifact dir, see runArtifacts.js)
  *
  * Uses storageState:
- * - storage/shopify-storage.json
+ * - the stored Shopify session (see shopifySession.js for where it is read from)
+ *
+ * Progress:
+ * - pass `onStep(step)` to be told when the run enters each step
+ *   (create, configure-version, release, scrape-credentials, distribution).
+ * - pass `onCheckpoint(patch)` to persist progress as each step completes
+ *   (app_id, version_released, credentials_scraped, link_generated).
+ * - pass a previous run's checkpoints as `progress` to resume: completed steps
+ *   are skipped and the run continues against the same appId.
+ * - pass `runId` (the job id) to name the run's artifact dir; a random one is used otherwise.
+ *
+ * Idempotency:
+ * - unless `reuse_existing_app` is false, an app already on the apps list with the
+ *   same computed name is reused instead of clicking "Create app" again.
  */
 
-// -------- storage / screenshots --------
-const STORAGE_DIR =
-  process.env.STORAGE_DIR ||
-  (process.env.RENDER
-    ? "/app/storage"
-    : path.join(process.cwd(), "storage"));
-
-async function ensureStorageDir() {
-  await fs.mkdir(STORAGE_DIR, { recursive: true });
-}
-
-function storagePath(filename) {
-  return path.join(STORAGE_DIR, filename);
-}
-
-function screenshotsEnabled() {
-  const v = String(process.env.ENABLE_SCREENSHOTS || "").trim().toLowerCase();
-  return v === "1" || v === "true" || v === "yes" || v === "on";
-}
-
-async function safeScreenshot(page, filename) {
-  // Fast no-op unless explicitly enabled
-  if (!screenshotsEnabled()) return;
-
-  try {
-    await ensureStorageDir();
-    const full = storagePath(filename.replace(/^storage\//, ""));
-    await page.screenshot({ path: full, fullPage: true });
-    console.log("Saved screenshot:", full);
-  } catch (e) {
-    console.log("Screenshot failed:", e?.message || e);
-  }
-}
-
 
 // -------- misc helpers --------
 function sleep(ms) {
@@ -70,62 +70,34 @@ function clean(s) {
   return (s || "").replace(/\s+/g, " ").trim();
 }
 
-function extractAppId(url) {
-  const m = String(url || "").match(/\/apps\/(\d+)(?:\/|$)/);
-  return m ? m[1] : null;
+// The run's organization profile; an unknown name or broken profile config fails as INVALID_CONFIG
+function runProfile(name) {
+  try {
+    return resolveProfile(name);
+  } catch (err) {
+    if (err.name !== "ProfileError") throw err;
+    throw shopifyError("INVALID_CONFIG", err.message);
+  }
 }
 
-function dashboardIdFromUrl(dashboardUrl) {
-  const m = String(dashboardUrl || "").match(/\/dashboard\/(\d+)\b/);
+function extractAppId(url) {
+  const m = String(url || "").match(/\/apps\/(\d+)(?:\/|$)/);
   return m ? m[1] : null;
 }
 
-function domainInputLocator(page) {
-  // 1) Accessible label/name (best)
-  const byName = page.getByRole("textbox", {
-    name: /shopify domain|store domain|store url|domain/i,
-  }).first();
-
-  // 2) Common placeholder
-  const byPlaceholder = page
-    .locator('input[placeholder*="myshopify" i], input[placeholder*="myshopify.com" i]')
-    .first();
-
-  // 3) Polaris IDs often used on this screen
-  const polarisId = page
-    .locator('input[id^="PolarisTextField"], textarea[id^="PolarisTextField"]')
-    .first();
-
-  // 4) Last resort: first visible textbox inside main content
-  const anyMainTextbox = page
-    .locator('main input[type="text"], main input:not([type]), main textarea')
-    .first();
-
-  return byName.or(byPlaceholder).or(polarisId).or(anyMainTextbox);
-}
-
-
 // Detect the Shopify Accounts / 2FA wall (login page or account select)
 async function assertNotBlockedBy2FA(page, labelForLogs = "page") {
   const url = page.url();
 
-  const isAccounts =
-    url.includes("accounts.shopify.com/select") ||
-    url.includes("accounts.shopify.com/lookup") ||
-    url.includes("accounts.shopify.com/login") ||
-    url.includes("accounts.shopify.com");
-
-  if (!isAccounts) return;
+  if (!onShopifySite("accounts", url)) return;
 
   // Try to confirm it’s the login UI (best-effort)
-  const looksLikeLoginUi =
-    (await page.getByRole("heading", { name: /log in/i }).count().catch(() => 0)) > 0 ||
-    (await page.getByRole("button", { name: /continue with email/i }).count().catch(() => 0)) > 0 ||
-    (await page.getByText(/continue to shopify account/i).count().catch(() => 0)) > 0;
+  const looksLikeLoginUi = !!(await find(page, "accounts.loginUi"));
 
-  await safeScreenshot(page, `blocked-${labelForLogs}.png`);
+  await saveScreenshot(page, `blocked-${labelForLogs}.png`);
 
-  throw new Error(
+  throw shopifyError(
+    "TWO_FACTOR_BLOCKED",
     [
       `Blocked by Shopify Accounts login / 2FA at ${labelForLogs}.`,
       `Current URL: ${url}`,
@@ -133,34 +105,70 @@ async function assertNotBlockedBy2FA(page, labelForLogs = "page") {
         ? `Detected Shopify login UI (2FA likely required).`
         : `Detected accounts.shopify.com redirect (auth required).`,
       ``,
-      `This cannot be completed in headless Render/Docker.`,
-      `Run locally with PW_HEADED=1, complete login/2FA, then export a fresh storageState that includes Partners access.`,
-    ].join("\n")
+      `This cannot be completed in headless Render/Docker (set SESSION_ADMIN_TOKEN to enable the remote login handoff).`,
+      `Run \`npm run session:login\` locally, complete login/2FA, then upload the fresh storageState (PUT /session/storage-state).`,
+    ].join("\n"),
+    { url }
   );
 }
 
 // -------- scraping helpers --------
-async function scrapeClientIdAndSecret(settingsPage) {
-  // ---- Client ID ----
-  const idCandidates = [
-    settingsPage.locator('input[id*="client_id" i]').first(),
-    settingsPage.locator('input[name*="client_id" i]').first(),
-    settingsPage.locator('input:near(:text("Client ID"))').first(),
-    settingsPage.locator('code:near(:text("Client ID"))').first(),
-  ];
+// Prefer values captured from the settings page's own API responses; DOM scraping is the fallback.
+// Returns which source each value came from: "network", "clipboard" or "dom".
+// `excludeSecret` is passed over wherever it shows up (the secret a rotation replaced).
+async function scrapeClientIdAndSecret(settingsPage, capture, { excludeSecret = null } = {}) {
+  const fromNetwork = capture
+    ? await capture.waitFor(["client_id", "client_secret"])
+    : { client_id: "", client_secret: "" };
+
+  const sources = { client_id: null, client_secret: null };
+  if (fromNetwork.client_id) sources.client_id = "network";
+  if (fromNetwork.client_secret) sources.client_secret = "network";
+
+  const dom = await scrapeClientIdAndSecretFromDom(settingsPage, {
+    needClientId: !fromNetwork.client_id,
+    needSecret: !fromNetwork.client_secret,
+    excludeSecret,
+  });
+
+  if (!sources.client_id && dom.clientId) sources.client_id = "dom";
+  if (!sources.client_secret && dom.clientSecret) sources.client_secret = dom.secretSource;
 
+  const clientId = fromNetwork.client_id || dom.clientId;
+  const clientSecret = fromNetwork.client_secret || dom.clientSecret;
+
+  log.info("SCRAPED clientId length:", clientId?.length || 0, "source:", sources.client_id);
+  log.info("SCRAPED clientSecret length:", clientSecret?.length || 0, "source:", sources.client_secret);
+
+  return { clientId, clientSecret, sources };
+}
+
+// Value of the first matched element: text for <code>, input value otherwise.
+async function readFieldText(locator) {
+  try {
+    const el = locator.first();
+    const tag = (await el.evaluate((node) => node.tagName)).toLowerCase();
+    return tag === "code" ? clean(await el.textContent()) : clean(await el.inputValue());
+  } catch {
+    return "";
+  }
+}
+
+async function scrapeClientIdAndSecretFromDom(settingsPage, { needClientId = true, needSecret = true, excludeSecret = null } = {}) {
   let clientId = "";
-  for (const c of idCandidates) {
-    try {
-      if ((await c.count()) === 0) continue;
-      const tag = (await c.evaluate((el) => el.tagName)).toLowerCase();
-      clientId = tag === "code" ? clean(await c.textContent()) : clean(await c.inputValue());
-      if (clientId) break;
-    } catch {}
+  let clientSecret = "";
+  let secretSource = null;
+
+  // ---- Client ID ----
+  if (needClientId) {
+    const field = await find(settingsPage, "settings.clientId", { accept: async (loc) => !!(await readFieldText(loc)) });
+    if (field) clientId = await readFieldText(field);
   }
 
+  if (!needSecret) return { clientId, clientSecret, secretSource };
+
   // ---- Secret (try to get shpss_ via copy buttons) ----
-  let clientSecret = "";
+  log.debug("no shpss_ in network responses. Falling back to copy-button clipboard spy.");
 
   // Install clipboard spy
   await settingsPage.evaluate(() => {
@@ -180,14 +188,12 @@ async function scrapeClientIdAndSecret(settingsPage) {
   });
 
   // Find ALL copy buttons
-  const copyButtons = settingsPage.locator('button[aria-label*="Copy" i]');
-  const n = await copyButtons.count().catch(() => 0);
+  const copyButtons = await find(settingsPage, "settings.copyButtons");
+  const n = copyButtons ? await copyButtons.count().catch(() => 0) : 0;
 
   for (let i = 0; i < n; i++) {
     const btn = copyButtons.nth(i);
 
-    const aria = await btn.getAttribute("aria-label").catch(() => "");
-
     await btn.click({ force: true }).catch(() => {});
     await sleep(250);
 
@@ -195,61 +201,254 @@ async function scrapeClientIdAndSecret(settingsPage) {
       .evaluate(() => (window.__lastCopiedText || "").trim())
       .catch(() => "");
 
-
-    if (/^shpss_/i.test(copied)) {
+    if (/^shpss_/i.test(copied) && copied !== excludeSecret) {
       clientSecret = copied;
+      secretSource = "clipboard";
       break;
     }
   }
 
   // Fallback: old OAuth client secret scraping (86 chars)
   if (!clientSecret) {
-    console.log("DEBUG ❌ no copy button produced shpss_. Falling back to client_secret input scrape.");
+    log.debug("no copy button produced shpss_. Falling back to client_secret input scrape.");
+
+    const field = await find(settingsPage, "settings.clientSecret", {
+      accept: async (loc) => {
+        const text = await readFieldText(loc);
+        return !!text && text !== excludeSecret;
+      },
+    });
+    if (field) {
+      clientSecret = await readFieldText(field);
+      secretSource = "dom";
+    }
+  }
 
-    const secretCandidates = [
-      settingsPage.locator('input[id*="client_secret" i]').first(),
-      settingsPage.locator('input[name*="client_secret" i]').first(),
-      settingsPage.locator('input:near(:text("Client secret"))').first(),
-      settingsPage.locator('code:near(:text("Client secret"))').first(),
-    ];
+  return { clientId, clientSecret, secretSource };
+}
 
-    for (const c of secretCandidates) {
-      try {
-        if ((await c.count()) === 0) continue;
-        const tag = (await c.evaluate((el) => el.tagName)).toLowerCase();
-        const v = tag === "code" ? clean(await c.textContent()) : clean(await c.inputValue());
-        if (v) {
-          clientSecret = v;
-          break;
-        }
-      } catch {}
+// -------- version form helpers --------
+// Helpers take either a selector-registry target name or an already resolved locator.
+async function resolveField(page, target) {
+  return typeof target === "string" ? (await locate(page, target)).first() : target;
+}
+
+function fileSlug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+async function fillTextField(page, target, value, what) {
+  const field = await resolveField(page, target);
+  await field.waitFor({ timeout: 30_000 });
+  await field.scrollIntoViewIfNeeded();
+  await field.click({ force: true });
+  await field.fill(value);
+  await field.blur();
+
+  const readback = (await field.inputValue().catch(() => "")).trim();
+  if (readback !== value) {
+    await saveScreenshot(page, `${fileSlug(what)}-did-not-stick.png`);
+    throw shopifyError("VALUE_DID_NOT_STICK", `${what} did not stick. Expected "${value}", got "${readback}"`, {
+      url: page.url(),
+    });
+  }
+  log.info(`Filled: ${what}`);
+}
+
+async function selectField(page, target, value, what) {
+  const field = await resolveField(page, target);
+  await field.waitFor({ timeout: 30_000 });
+  await field.scrollIntoViewIfNeeded();
+  await field.selectOption(value);
+
+  const readback = (await field.inputValue().catch(() => "")).trim();
+  if (readback !== value) {
+    await saveScreenshot(page, `${fileSlug(what)}-did-not-stick.png`);
+    throw shopifyError("VALUE_DID_NOT_STICK", `${what} did not stick. Expected "${value}", got "${readback}"`, {
+      url: page.url(),
+    });
+  }
+  log.info(`Selected: ${what} = ${value}`);
+}
+
+async function setCheckbox(page, target, wanted, what) {
+  const found = await find(page, target);
+  const checkbox = found?.first();
+  if (!checkbox) {
+    // An absent checkbox is fine as long as we wanted it off
+    if (!wanted) return;
+    await saveScreenshot(page, `${fileSlug(what)}-not-found.png`);
+    throw shopifyError("SELECTOR_NOT_FOUND", `Could not find "${what}" checkbox`, { url: page.url() });
+  }
+
+  if ((await checkbox.isChecked()) !== wanted) {
+    await checkbox.click({ force: true });
+    await sleep(300);
+  }
+  log.info(`${what} checked:`, await checkbox.isChecked());
+}
+
+// Fill `value` into a field the form may not have; an empty value clears it (an absent field is already empty).
+async function setOptionalTextField(page, target, value, what) {
+  if (value) return fillTextField(page, target, value, what);
+
+  const field = (await find(page, target))?.first();
+  if (field && (await field.inputValue().catch(() => ""))) await fillTextField(page, field, "", what);
+}
+
+async function fillWebhookSubscriptions(page, subscriptions) {
+  const rowCount = async () => (await find(page, "version.webhookSubscriptionUri"))?.count() ?? 0;
+
+  for (let i = 0; i < subscriptions.length; i++) {
+    const sub = subscriptions[i];
+
+    // Each subscription beyond the rendered rows needs an "Add subscription" click
+    if ((await rowCount()) <= i) {
+      const add = (await locate(page, "version.addWebhookSubscription", { state: "visible" })).first();
+      await add.click({ force: true });
+      const deadline = Date.now() + 30_000;
+      while ((await rowCount()) <= i && Date.now() < deadline) await sleep(250);
     }
 
+    const topicsFields = await locate(page, "version.webhookSubscriptionTopics");
+    const uriFields = await locate(page, "version.webhookSubscriptionUri");
+    await fillTextField(page, topicsFields.nth(i), sub.topics.join(","), `Webhook subscription ${i + 1} topics`);
+    await fillTextField(page, uriFields.nth(i), sub.uri, `Webhook subscription ${i + 1} URI`);
+  }
+
+  // Rows the spec doesn't have (pre-filled from the active version) go: removed from the end,
+  // or emptied when the form has no remove button (rows without a URI are not saved)
+  for (let n = await rowCount(); n > subscriptions.length; n--) {
+    const remove = await find(page, "version.removeWebhookSubscription");
+    if (remove && (await remove.count()) >= n) {
+      await remove.nth(n - 1).click({ force: true });
+      const deadline = Date.now() + 30_000;
+      while ((await rowCount()) >= n && Date.now() < deadline) await sleep(250);
+      if ((await rowCount()) >= n) {
+        throw shopifyError("VALUE_DID_NOT_STICK", `Webhook subscription ${n} was not removed`, { url: page.url() });
+      }
+    } else {
+      await fillTextField(page, (await locate(page, "version.webhookSubscriptionTopics")).nth(n - 1), "", `Webhook subscription ${n} topics`);
+      await fillTextField(page, (await locate(page, "version.webhookSubscriptionUri")).nth(n - 1), "", `Webhook subscription ${n} URI`);
+    }
+    log.info(`Removed: Webhook subscription ${n}`);
   }
+}
+
+// Everything past app URL, embedding, scopes and redirects. The form ends up matching the spec:
+// empty values clear their field, webhook rows and an app proxy the spec doesn't have are removed.
+async function fillExtendedVersionFields(page, config) {
+  await setOptionalTextField(page, "version.preferencesUrl", config.preferences_url, "Preferences URL");
 
-console.log("SCRAPED clientId length:", clientId?.length || 0);
-console.log("SCRAPED clientSecret length:", clientSecret?.length || 0);
+  // Webhooks (the API version is a required select: no value keeps Shopify's)
+  if (config.webhooks.api_version) {
+    await selectField(page, "version.webhooksApiVersion", config.webhooks.api_version, "Webhooks API version");
+  }
+  await fillWebhookSubscriptions(page, config.webhooks.subscriptions);
 
-  return { clientId, clientSecret };
+  // Mandatory GDPR compliance webhooks
+  const compliance = [
+    ["customers_data_request_url", "version.customersDataRequestUrl", "Customer data request URL"],
+    ["customers_redact_url", "version.customersRedactUrl", "Customer data erasure URL"],
+    ["shop_redact_url", "version.shopRedactUrl", "Shop data erasure URL"],
+  ];
+  for (const [key, target, what] of compliance) {
+    await setOptionalTextField(page, target, config.compliance[key], what);
+  }
+
+  // App proxy (null removes it: a proxy without a URL is not saved)
+  if (config.app_proxy) {
+    const { prefix, subpath, url } = config.app_proxy;
+    await selectField(page, "version.appProxyPrefix", prefix, "App proxy prefix");
+    await fillTextField(page, "version.appProxySubpath", subpath, "App proxy subpath");
+    await fillTextField(page, "version.appProxyUrl", url, "App proxy URL");
+  } else {
+    await setOptionalTextField(page, "version.appProxyUrl", "", "App proxy URL");
+    await setOptionalTextField(page, "version.appProxySubpath", "", "App proxy subpath");
+    const prefix = (await find(page, "version.appProxyPrefix"))?.first();
+    if (prefix && (await prefix.inputValue().catch(() => "")) && (await prefix.locator('option[value=""]').count()) > 0) {
+      await selectField(page, prefix, "", "App proxy prefix");
+    }
+  }
+
+  // POS
+  await setCheckbox(page, "version.posEmbedCheckbox", config.pos.embedded, "Embed app in Shopify POS");
 }
 
-async function configureVersionAndRelease(page, { appId, dashboardId }) {
-  const appUrl = process.env.APP_URL;
-  const redirectUrl = process.env.REDIRECT_URL;
-  const scopesCsv = process.env.SCOPES_CSV;
+async function readTarget(page, target) {
+  const loc = await find(page, target);
+  if (!loc) return null;
+  return (await loc.first().inputValue().catch(() => "")).trim();
+}
 
-  if (!appUrl) throw new Error("Missing env var: APP_URL");
-  if (!redirectUrl) throw new Error("Missing env var: REDIRECT_URL");
-  if (!scopesCsv) throw new Error("Missing env var: SCOPES_CSV");
-  if (!dashboardId) throw new Error("Could not parse dashboard id from SHOPIFY_DEV_DASHBOARD_URL");
+async function readCheckbox(page, target) {
+  const loc = await find(page, target);
+  if (!loc) return false;
+  return loc.first().isChecked().catch(() => false);
+}
+
+// Snapshot of what versions/new currently shows (Shopify pre-fills it from the active version).
+async function readVersionForm(page) {
+  const subscriptions = [];
+  const uris = await find(page, "version.webhookSubscriptionUri");
+  const topics = await find(page, "version.webhookSubscriptionTopics");
+  const subCount = uris ? await uris.count().catch(() => 0) : 0;
+  for (let i = 0; i < subCount; i++) {
+    subscriptions.push({
+      uri: (await uris.nth(i).inputValue().catch(() => "")).trim(),
+      topics: topics ? (await topics.nth(i).inputValue().catch(() => "")).trim() : "",
+    });
+  }
 
-  const versionsNewUrl = `https://dev.shopify.com/dashboard/${dashboardId}/apps/${appId}/versions/new`;
+  const proxyUrl = await readTarget(page, "version.appProxyUrl");
+
+  return mergeAppConfig(DEFAULT_APP_SPEC, {
+    app_url: await readTarget(page, "version.appUrl"),
+    redirect_urls: await readTarget(page, "version.redirectUrls"),
+    scopes: await readTarget(page, "version.scopes"),
+    optional_scopes: await readTarget(page, "version.optionalScopes"),
+    embedded: await readCheckbox(page, "version.embedCheckbox"),
+    preferences_url: await readTarget(page, "version.preferencesUrl"),
+    webhooks: {
+      api_version: await readTarget(page, "version.webhooksApiVersion"),
+      subscriptions: subscriptions.filter((sub) => sub.uri),
+    },
+    compliance: {
+      customers_data_request_url: await readTarget(page, "version.customersDataRequestUrl"),
+      customers_redact_url: await readTarget(page, "version.customersRedactUrl"),
+      shop_redact_url: await readTarget(page, "version.shopRedactUrl"),
+    },
+    app_proxy: proxyUrl
+      ? {
+          prefix: await readTarget(page, "version.appProxyPrefix"),
+          subpath: await readTarget(page, "version.appProxySubpath"),
+          url: proxyUrl,
+        }
+      : null,
+    pos: { embedded: await readCheckbox(page, "version.posEmbedCheckbox") },
+  });
+}
+
+// One attempt at the versions/new form: open it fresh, fill it and find an enabled Release button.
+async function fillVersionForm(page, { versionsNewUrl, config, overrides }) {
   await page.goto(versionsNewUrl, { waitUntil: "domcontentloaded" });
-  console.log("Versions/new URL:", page.url());
+  log.info("Versions/new URL:", page.url());
   await sleep(1200);
 
+  await locate(page, "version.appUrl", { state: "visible" });
+  const before = await readVersionForm(page);
+  if (!config) config = mergeAppConfig(before, overrides);
+
+  const invalid = validateAppConfig(config);
+  if (invalid.length) throw shopifyError("INVALID_CONFIG", `Invalid app config: ${invalid.join("; ")}`);
+
+  const appUrl = config.app_url;
+  const redirectUrls = config.redirect_urls.join(",");
+  const scopesCsv = config.scopes.join(",");
+  const optionalScopesCsv = config.optional_scopes.join(",");
+
   // App URL
-  const appUrlInput = page.locator("#version_app_module_data_app_home_app_url");
+  const appUrlInput = (await locate(page, "version.appUrl")).first();
   await appUrlInput.waitFor({ state: "visible", timeout: 30_000 });
   await appUrlInput.scrollIntoViewIfNeeded();
   await appUrlInput.click({ force: true });
@@ -258,32 +457,34 @@ async function configureVersionAndRelease(page, { appId, dashboardId }) {
   await appUrlInput.press("Tab");
 
   const appUrlReadback = (await appUrlInput.inputValue()).trim();
-  console.log("READBACK App URL:", appUrlReadback);
+  log.info("READBACK App URL matches:", appUrlReadback === appUrl, "length:", appUrlReadback.length);
   if (appUrlReadback !== appUrl) {
-    await safeScreenshot(page, "app-url-did-not-stick.png");
-    throw new Error(`App URL did not stick. Expected "${appUrl}", got "${appUrlReadback}"`);
+    await saveScreenshot(page, "app-url-did-not-stick.png");
+    throw shopifyError("VALUE_DID_NOT_STICK", `App URL did not stick. Expected "${appUrl}", got "${appUrlReadback}"`, {
+      url: page.url(),
+    });
   }
 
   // Embed checkbox
-  const embedCheckbox = page.getByRole("checkbox", { name: /embed app in shopify admin/i });
-  if ((await embedCheckbox.count()) === 0) {
-    await safeScreenshot(page, "embed-checkbox-not-found.png");
-    throw new Error('Could not find "Embed app in Shopify admin" checkbox');
+  const embedCheckbox = (await find(page, "version.embedCheckbox"))?.first();
+  if (!embedCheckbox) {
+    await saveScreenshot(page, "embed-checkbox-not-found.png");
+    throw shopifyError("SELECTOR_NOT_FOUND", 'Could not find "Embed app in Shopify admin" checkbox', { url: page.url() });
   }
 
-  // Your prior behavior: uncheck if checked
+  // Match the requested embed setting (default: not embedded)
   const checked = await embedCheckbox.isChecked();
-  console.log("Embed checked before:", checked);
-  if (checked) {
+  log.info("Embed checked before:", checked);
+  if (checked !== config.embedded) {
     await embedCheckbox.click({ force: true });
     await sleep(300);
   }
-  console.log("Embed checked after:", await embedCheckbox.isChecked());
+  log.info("Embed checked after:", await embedCheckbox.isChecked());
 
-  await safeScreenshot(page, "before-release-after-url-embed.png");
+  await saveScreenshot(page, "before-release-after-url-embed.png");
 
   // Scopes
-  const scopesField = page.locator("#version_app_module_data_app_access_app_scopes");
+  const scopesField = (await locate(page, "version.scopes")).first();
   await scopesField.waitFor({ timeout: 30_000 });
   await scopesField.scrollIntoViewIfNeeded();
   await scopesField.click({ force: true });
@@ -291,158 +492,324 @@ async function configureVersionAndRelease(page, { appId, dashboardId }) {
   await scopesField.blur();
 
   const scopesRb = (await scopesField.inputValue().catch(() => "")).trim();
-  console.log("Filled: Scopes");
-  console.log("Scopes readback length:", scopesRb.length);
-
-  // Redirect URLs (best-effort selector)
-  const redirectField = page
-    .locator(
-      [
-        'textarea[id*="redirect" i]',
-        'textarea[name*="redirect" i]',
-        'input[id*="redirect" i]',
-        'input[name*="redirect" i]',
-      ].join(",")
-    )
-    .filter({ hasNot: page.locator("#version_app_module_data_app_access_app_optional_scopes") })
-    .first();
+  log.info("Filled: Scopes");
+  log.info("Scopes readback length:", scopesRb.length);
+
+  // Optional scopes (field may be missing on older forms; only required when we have some)
+  const optionalScopesFound = await find(page, "version.optionalScopes");
+  if (optionalScopesCsv || optionalScopesFound) {
+    const optionalScopesField = (await locate(page, "version.optionalScopes")).first();
+    await optionalScopesField.waitFor({ timeout: 30_000 });
+    await optionalScopesField.scrollIntoViewIfNeeded();
+    await optionalScopesField.click({ force: true });
+    await optionalScopesField.fill(optionalScopesCsv);
+    await optionalScopesField.blur();
+    log.info("Filled: Optional scopes");
+  }
+
+  // Redirect URLs
+  const redirectField = (await locate(page, "version.redirectUrls")).first();
 
   await redirectField.waitFor({ timeout: 30_000 });
   await redirectField.scrollIntoViewIfNeeded();
   await redirectField.click({ force: true });
-  await redirectField.fill(redirectUrl);
+  await redirectField.fill(redirectUrls);
   await redirectField.blur();
 
   const redirectRb = (await redirectField.inputValue().catch(() => "")).trim();
-  console.log("Redirect readback:", redirectRb);
+  log.info("Redirect readback matches:", redirectRb === redirectUrls, "length:", redirectRb.length);
+
+  // Rest of the spec: webhooks, compliance, app proxy, POS, preferences
+  await fillExtendedVersionFields(page, config);
 
-  // Release
   await page.waitForTimeout(500);
-  const releaseBtn = page.getByRole("button", { name: /^release$/i }).first();
+  const releaseBtn = (await locate(page, "version.releaseButton", { state: "visible" })).first();
   await releaseBtn.waitFor({ state: "visible", timeout: 30_000 });
 
   const disabled = await releaseBtn.isDisabled().catch(() => true);
-  console.log("Release visible. Disabled?", disabled);
-  await safeScreenshot(page, "before-release.png");
+  log.info("Release visible. Disabled?", disabled);
+  await saveScreenshot(page, "before-release.png");
 
   if (disabled) {
-    await safeScreenshot(page, "release-disabled.png");
-    throw new Error('Release button is disabled (fields likely not valid / not saved).');
+    await saveScreenshot(page, "release-disabled.png");
+    throw shopifyError("RELEASE_DISABLED", "Release button is disabled (fields likely not valid / not saved).", {
+      url: page.url(),
+    });
   }
 
+  return { before, config, releaseBtn };
+}
+
+/**
+ * Open versions/new for the app, fill it from the spec and release.
+ *
+ * Pass `config` for a full spec, or `overrides` to change only some fields on top of
+ * what the form currently shows. Returns the form values before and the values released.
+ *
+ * Filling is retried on a fresh form (nothing is saved before Release); the Release click
+ * itself is not, and the read-only verification is retried on its own.
+ */
+async function configureVersionAndRelease(page, { appId, dashboardId, config, overrides, onStep = () => {}, attempts = [] }) {
+  if (!dashboardId) throw shopifyError("INVALID_CONFIG", "Could not parse dashboard id from the profile's dashboard_url");
+
+  const versionsNewUrl = devUrl(`/dashboard/${dashboardId}/apps/${appId}/versions/new`);
+  const filled = await withRetry("configure-version", () => fillVersionForm(page, { versionsNewUrl, config, overrides }), {
+    history: attempts,
+  });
+  const { before, releaseBtn } = filled;
+  config = filled.config;
+
+  // Release
+  await onStep("release");
   await releaseBtn.click({ force: true });
-  console.log('Clicked: "Release"');
+  log.info('Clicked: "Release"');
   await page.waitForTimeout(800);
 
   // Confirm release (modal or secondary button)
-  const confirmReleaseBtn = page
-    .getByRole("button", { name: /^release$/i })
-    .filter({ hasNotText: /create an app/i })
-    .last();
+  const releaseButtons = await find(page, "version.releaseButton");
+  const confirmReleaseBtn = releaseButtons?.filter({ hasNotText: /create an app/i }).last();
 
-  if ((await confirmReleaseBtn.count()) > 0) {
+  if (confirmReleaseBtn && (await confirmReleaseBtn.count()) > 0) {
     await confirmReleaseBtn.waitFor({ state: "visible", timeout: 30_000 });
     await confirmReleaseBtn.click({ force: true });
-    console.log('Clicked: Confirm "Release"');
+    log.info('Clicked: Confirm "Release"');
   }
 
   await page.waitForLoadState("networkidle").catch(() => {});
   await page.waitForTimeout(1200);
 
-  // Verify on current page (don’t depend on Versions list UI)
-  const vAppUrl = (await page.locator("#version_app_module_data_app_home_app_url").inputValue().catch(() => "")).trim();
-  const vScopes = (await page.locator("#version_app_module_data_app_access_app_scopes").inputValue().catch(() => "")).trim();
+  // Shopify lands on the new version's page after release; remember it so we can check it became active
+  const releasedVersionId = extractVersionId(page.url());
+  log.info("Released version id:", releasedVersionId || "(not in URL)");
+
+  const verification = await withRetry(
+    "verify",
+    () => verifyActiveVersion(page, { appId, dashboardId, expected: config, releasedVersionId }),
+    { history: attempts }
+  );
+
+  // Every other field the release changed is checked too, or a removal that didn't take would
+  // still be reported as applied in the before/after diff
+  // (no webhooks API version requested keeps whatever Shopify selects)
+  const fields = Object.keys(diffAppConfig(before, config)).filter(
+    (k) => !verification.verified_fields.includes(k) && !(k === "webhooks.api_version" && !config.webhooks.api_version)
+  );
+  if (fields.length) {
+    await withRetry("verify", () => verifyReleasedFields(page, { versionsNewUrl, expected: config, fields }), {
+      history: attempts,
+    });
+    verification.verified_fields.push(...fields);
+  }
+
+  return { before, after: config, verification };
+}
+
+// -------- post-release verification --------
+function extractVersionId(url) {
+  const m = String(url || "").match(/\/versions\/(\d+)(?:[/?#]|$)/);
+  return m ? m[1] : null;
+}
+
+function sameList(a, b) {
+  const norm = (xs) => [...new Set(xs.map((x) => x.trim().replace(/\/+$/, "").toLowerCase()))].sort();
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+function parseListText(text) {
+  return String(text || "")
+    .split(/[\n,]/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Version detail pages are read-only: values sit next to their label (dt/dd, or label + text).
+async function readDetailValue(page, label) {
+  const input = page.getByLabel(label).first();
+  if ((await input.count().catch(() => 0)) > 0) {
+    const tag = (await input.evaluate((el) => el.tagName).catch(() => "")).toLowerCase();
+    if (tag === "input" && (await input.getAttribute("type")) === "checkbox") return String(await input.isChecked());
+    if (tag === "input" || tag === "textarea") return (await input.inputValue().catch(() => "")).trim();
+  }
+
+  const candidates = [
+    page.locator("dt", { hasText: label }).first().locator("xpath=following-sibling::dd[1]"),
+    page.getByText(label).first().locator("xpath=following-sibling::*[1]"),
+    page.getByText(label).first().locator("xpath=../following-sibling::*[1]"),
+  ];
+
+  for (const c of candidates) {
+    if ((await c.count().catch(() => 0)) === 0) continue;
+    const text = (await c.innerText().catch(() => "")).trim();
+    if (text) return text;
+  }
+
+  return null;
+}
+
+function parseEmbedded(text) {
+  if (text === null) return null;
+  return /^(true|yes|on|embedded|enabled)\b/i.test(text.trim());
+}
+
+/**
+ * Open the app's Versions view, follow the active version and compare what it actually
+ * carries with what we asked for. Throws with a field-level diff on any mismatch.
+ */
+async function verifyActiveVersion(page, { appId, dashboardId, expected, releasedVersionId }) {
+  const versionsUrl = devUrl(`/dashboard/${dashboardId}/apps/${appId}/versions`);
+  await page.goto(versionsUrl, { waitUntil: "domcontentloaded" });
+  log.info("Versions URL:", page.url());
+
+  const rows = await locate(page, "versions.row").catch(() => null);
+  const versionLinks = await find(page, "versions.versionLink");
+  const activeRow = rows && versionLinks
+    ? rows.filter({ hasText: /\bactive\b/i }).filter({ has: versionLinks }).first()
+    : null;
+
+  await activeRow?.waitFor({ state: "visible", timeout: 30_000 }).catch(() => {});
+  if (!activeRow || (await activeRow.count()) === 0) {
+    await saveScreenshot(page, "verify-no-active-version.png");
+    throw shopifyError("VERIFICATION_FAILED", `Release verification failed: no active version listed on ${page.url()}`, {
+      url: page.url(),
+    });
+  }
+
+  const href = await (await locate(activeRow, "versions.versionLink")).first().getAttribute("href");
+  const activeVersionId = extractVersionId(href);
+  log.info("Active version id:", activeVersionId);
+
+  const diff = {};
+  if (releasedVersionId && activeVersionId !== releasedVersionId) {
+    diff.active_version = { expected: releasedVersionId, actual: activeVersionId };
+  }
+
+  await page.goto(new URL(href, page.url()).toString(), { waitUntil: "domcontentloaded" });
+  await page.waitForLoadState("networkidle").catch(() => {});
+  await sleep(800);
+  await saveScreenshot(page, "verify-active-version.png");
+
+  const actual = {
+    app_url: await readDetailValue(page, /^app url$/i),
+    scopes: parseListText(await readDetailValue(page, /^scopes$/i)),
+    redirect_urls: parseListText(await readDetailValue(page, /redirect urls?/i)),
+    embedded: parseEmbedded(await readDetailValue(page, /embed(ded)? (app )?in shopify admin/i)),
+  };
+
+  if ((actual.app_url || "").replace(/\/+$/, "") !== expected.app_url.replace(/\/+$/, "")) {
+    diff.app_url = { expected: expected.app_url, actual: actual.app_url };
+  }
+  if (!sameList(actual.scopes, expected.scopes)) {
+    diff.scopes = { expected: expected.scopes, actual: actual.scopes };
+  }
+  if (!sameList(actual.redirect_urls, expected.redirect_urls)) {
+    diff.redirect_urls = { expected: expected.redirect_urls, actual: actual.redirect_urls };
+  }
+  if (actual.embedded !== expected.embedded) {
+    diff.embedded = { expected: expected.embedded, actual: actual.embedded };
+  }
+
+  if (Object.keys(diff).length) {
+    throw shopifyError(
+      "VERIFICATION_FAILED",
+      `Release verification failed for app ${appId}: ${Object.keys(diff).join(", ")} did not match.\n` +
+        JSON.stringify(diff, null, 2),
+      { url: page.url(), diff }
+    );
+  }
+
+  log.info("VERIFY active version matches requested config:", activeVersionId);
+  return { active_version_id: activeVersionId, verified_fields: ["app_url", "scopes", "redirect_urls", "embedded"] };
+}
+
+/**
+ * The version page only shows app URL, scopes, redirects and embedding, so the rest is read back
+ * from versions/new, which Shopify pre-fills from the active version (nothing is saved there).
+ * Throws VERIFICATION_FAILED with a diff of the `fields` (flattened spec keys) that don't match.
+ */
+async function verifyReleasedFields(page, { versionsNewUrl, expected, fields }) {
+  await page.goto(versionsNewUrl, { waitUntil: "domcontentloaded" });
+  await locate(page, "version.appUrl", { state: "visible" });
+  const released = await readVersionForm(page);
+
+  const mismatched = diffAppConfig(released, expected);
+  const diff = Object.fromEntries(
+    fields.filter((k) => mismatched[k]).map((k) => [k, { expected: mismatched[k].after, actual: mismatched[k].before }])
+  );
 
-  console.log("VERIFY (current page) app url:", vAppUrl);
-  console.log("VERIFY (current page) scopes len:", vScopes.length);
-  await safeScreenshot(page, "verify-current-version.png");
+  if (Object.keys(diff).length) {
+    await saveScreenshot(page, "verify-released-fields.png");
+    throw shopifyError(
+      "VERIFICATION_FAILED",
+      `Release verification failed: ${Object.keys(diff).join(", ")} did not match.\n` + JSON.stringify(diff, null, 2),
+      { url: page.url(), diff }
+    );
+  }
+  log.info("VERIFY released fields match:", fields.join(", "));
 }
 
 // Distribution link generation is best-effort: it will not run if 2FA blocks access.
 async function selectCustomDistribution(distPage) {
   const u = distPage.url();
-  console.log("selectCustomDistribution() URL:", u);
-  await safeScreenshot(distPage, "storage/distribution-selectCustom-start.png");
+  log.info("selectCustomDistribution() URL:", u);
+  await saveScreenshot(distPage, "distribution-selectCustom-start.png");
 
   // Must be on partners distribution page
-  if (!u.includes("partners.shopify.com") || !u.includes("/distribution")) {
-    await safeScreenshot(distPage, "storage/not-on-distribution.png");
-    throw new Error(`Not on partners distribution page. URL: ${u}`);
-  }
-
-// 1) Wait for ANY anchor that indicates the distribution UI is present
-await Promise.race([
-  distPage.getByText(/distribution/i).first().waitFor({ state: "visible", timeout: 90_000 }),
-  distPage.getByText(/custom distribution/i).first().waitFor({ state: "visible", timeout: 90_000 }),
-  distPage.getByText(/select custom distribution/i).first().waitFor({ state: "visible", timeout: 90_000 }),
-  distPage.getByText(/generate link/i).first().waitFor({ state: "visible", timeout: 90_000 }),
-  distPage.locator("#PolarisTextField1").first().waitFor({ state: "visible", timeout: 90_000 }),
-  distPage.locator('button:has-text("Select")').first().waitFor({ state: "visible", timeout: 90_000 }),
-  distPage.locator('button:has-text("Continue")').first().waitFor({ state: "visible", timeout: 90_000 }),
-]);
-  await safeScreenshot(distPage, "storage/distribution-ui-anchor-visible.png");
+  if (!onShopifySite("partners", u) || !u.includes("/distribution")) {
+    await saveScreenshot(distPage, "not-on-distribution.png");
+    throw shopifyError("DISTRIBUTION_FORM_MISSING", `Not on partners distribution page. URL: ${u}`, { url: u });
+  }
 
-  // 2) If we already see the domain field / generate link, custom distribution is already selected
-  const domainField = domainInputLocator(distPage);
-  const genBtn = distPage.locator('button:has-text("Generate link"), button:has-text("Generate")');
+  // 1) Wait for ANY anchor that indicates the distribution UI is present
+  await locate(distPage, "distribution.readyAnchor", { state: "visible", timeout: 90_000 });
+  await saveScreenshot(distPage, "distribution-ui-anchor-visible.png");
 
-  if ((await domainField.count()) > 0 || (await genBtn.count()) > 0) {
-    console.log("Custom distribution appears already selected (domain/generate UI present).");
+  // 2) If we already see the domain field / generate link, custom distribution is already selected
+  if ((await find(distPage, "distribution.domainInput")) || (await find(distPage, "distribution.generateLink"))) {
+    log.info("Custom distribution appears already selected (domain/generate UI present).");
     return;
   }
 
   // 3) Path A: direct "Select custom distribution" button exists
-  const direct = distPage.locator('button:has-text("Select custom distribution"), a:has-text("Select custom distribution")').first();
-  if ((await direct.count()) > 0) {
+  const direct = (await find(distPage, "distribution.selectCustomDirect"))?.first();
+  if (direct) {
     await direct.waitFor({ state: "visible", timeout: 60_000 });
     await direct.click({ force: true });
-    console.log('Clicked: "Select custom distribution" (direct button)');
+    log.info('Clicked: "Select custom distribution" (direct button)');
     await distPage.waitForTimeout(1500);
-    await safeScreenshot(distPage, "storage/distribution-after-direct-select.png");
+    await saveScreenshot(distPage, "distribution-after-direct-select.png");
   } else {
     // 4) Path B: click the “Custom distribution” card/row/text
-    const customText = distPage.locator("text=/custom distribution/i").first();
-    if ((await customText.count()) > 0) {
+    const customText = (await find(distPage, "distribution.customCard"))?.first();
+    if (customText) {
       await customText.waitFor({ state: "visible", timeout: 60_000 });
       await customText.click({ force: true });
-      console.log('Clicked: "Custom distribution" (card/text)');
+      log.info('Clicked: "Custom distribution" (card/text)');
       await distPage.waitForTimeout(800);
-      await safeScreenshot(distPage, "storage/distribution-after-custom-card-click.png");
+      await saveScreenshot(distPage, "distribution-after-custom-card-click.png");
     }
 
     // 5) Path C: there is usually a generic Select / Continue / Next after choosing the method
-    const nextBtn = distPage
-      .locator('button:has-text("Select"), button:has-text("Continue"), button:has-text("Next"), a:has-text("Select")')
-      .filter({ hasNotText: /select custom distribution/i })
+    const nextBtn = (await find(distPage, "distribution.nextButton"))
+      ?.filter({ hasNotText: /select custom distribution/i })
       .first();
 
-    if ((await nextBtn.count()) > 0) {
+    if (nextBtn && (await nextBtn.count()) > 0) {
       await nextBtn.waitFor({ state: "visible", timeout: 60_000 });
       await nextBtn.click({ force: true });
-      console.log('Clicked: "Select/Continue/Next" after choosing method');
+      log.info('Clicked: "Select/Continue/Next" after choosing method');
       await distPage.waitForTimeout(1500);
-      await safeScreenshot(distPage, "storage/distribution-after-generic-select.png");
+      await saveScreenshot(distPage, "distribution-after-generic-select.png");
     }
   }
 
   // Handle possible confirmation modal (Select / Confirm / Continue)
-  const modal = distPage.locator('[role="dialog"], .Polaris-Modal-Dialog, .Polaris-Modal').first();
-  if ((await modal.count()) > 0) {
-    const confirm = modal
-      .locator('button:has-text("Select"), button:has-text("Confirm"), button:has-text("Continue")')
-      .first();
-
-    if ((await confirm.count()) > 0) {
-      await confirm.click({ force: true });
-      console.log("Confirmed selection in modal");
-      await distPage.waitForTimeout(1500);
-      await safeScreenshot(distPage, "storage/distribution-after-confirm-modal.png");
-    }
+  if (await confirmModal(distPage, "modal.confirmSelection")) {
+    log.info("Confirmed selection in modal");
+    await distPage.waitForTimeout(1500);
+    await saveScreenshot(distPage, "distribution-after-confirm-modal.png");
   }
 
   // Final assert: domain input must now exist
-  const finalDomain = domainInputLocator(distPage);
-
   let found = false;
   for (let attempt = 1; attempt <= 4; attempt++) {
     try {
@@ -450,91 +817,75 @@ await Promise.race([
       await distPage.waitForLoadState("domcontentloaded").catch(() => {});
       await distPage.waitForTimeout(1000);
 
-      await finalDomain.first().waitFor({ state: "visible", timeout: 12_000 });
+      await locate(distPage, "distribution.domainInput", { state: "visible", timeout: 12_000 });
       found = true;
       break;
     } catch {
-      console.log(`Domain input not visible (attempt ${attempt}/4). Re-trying selection...`);
+      log.info(`Domain input not visible (attempt ${attempt}/4). Re-trying selection...`);
 
       // Re-drive the selection flow each attempt
-      const customText = distPage.locator("text=/custom distribution/i").first();
-      if ((await customText.count()) > 0) {
-        await customText.click({ force: true }).catch(() => {});
-        await distPage.waitForTimeout(500);
-      }
-
-      const direct = distPage
-        .locator('button:has-text("Select custom distribution"), a:has-text("Select custom distribution")')
-        .first();
-      if ((await direct.count()) > 0) {
-        await direct.click({ force: true }).catch(() => {});
-        await distPage.waitForTimeout(800);
-      }
-
-      const nextBtn = distPage
-        .locator('button:has-text("Select"), button:has-text("Continue"), button:has-text("Next")')
-        .first();
-      if ((await nextBtn.count()) > 0) {
-        await nextBtn.click({ force: true }).catch(() => {});
-        await distPage.waitForTimeout(800);
+      for (const target of ["distribution.customCard", "distribution.selectCustomDirect", "distribution.nextButton"]) {
+        const el = (await find(distPage, target))?.first();
+        if (!el) continue;
+        await el.click({ force: true }).catch(() => {});
+        await distPage.waitForTimeout(target === "distribution.customCard" ? 500 : 800);
       }
 
       // If a modal pops, confirm it
-      const modal2 = distPage.locator('[role="dialog"], .Polaris-ModalDialog, .Polaris-Modal').first();
-      if ((await modal2.count()) > 0) {
-        const confirm = modal2
-          .locator('button:has-text("Select"), button:has-text("Confirm"), button:has-text("Continue")')
-          .first();
-        if ((await confirm.count()) > 0) {
-          await confirm.click({ force: true }).catch(() => {});
-          await distPage.waitForTimeout(800);
-        }
+      if (await confirmModal(distPage, "modal.confirmSelection")) {
+        await distPage.waitForTimeout(800);
       }
     }
   }
 
   if (!found) {
-    throw new Error(
-      `Custom distribution form still not visible (no domain input). URL: ${distPage.url()}`
+    throw shopifyError(
+      "DISTRIBUTION_FORM_MISSING",
+      `Custom distribution form still not visible (no domain input). URL: ${distPage.url()}`,
+      { url: distPage.url() }
     );
   }
 
-  console.log("Custom distribution form detected (domain input present).");
-  await safeScreenshot(distPage, "storage/custom-distribution-form-visible.png");
-} // ✅ CLOSE selectCustomDistribution
+  log.info("Custom distribution form detected (domain input present).");
+  await saveScreenshot(distPage, "custom-distribution-form-visible.png");
+}
 
+// Click the given button inside an open modal, if there is one. Returns whether it clicked.
+async function confirmModal(page, buttonTarget, { timeout = 0 } = {}) {
+  const modal = (await find(page, "modal.dialog"))?.first();
+  if (!modal) return false;
 
-async function fillDomainAndGenerateLink(distPage, store_domain) {
+  const button = timeout
+    ? (await locate(modal, buttonTarget, { timeout })).first()
+    : (await find(modal, buttonTarget))?.first();
+  if (!button) return false;
+
+  await button.click({ force: true }).catch(() => {});
+  return true;
+}
+
+
+async function fillDomainAndGenerateLink(distPage, store_domain, capture) {
   // Must be on partners distribution page
   if (!distPage.url().includes("/distribution")) {
-    await safeScreenshot(distPage, "storage/not-on-distribution.png");
-    throw new Error(`Not on partners distribution page. URL: ${distPage.url()}`);
+    await saveScreenshot(distPage, "not-on-distribution.png");
+    throw shopifyError("DISTRIBUTION_FORM_MISSING", `Not on partners distribution page. URL: ${distPage.url()}`, {
+      url: distPage.url(),
+    });
   }
 
   // Give the page a moment to render
   await distPage.waitForLoadState("domcontentloaded").catch(() => {});
   await distPage.waitForTimeout(1000);
 
-  // Domain input selector (Shopify UI changes a lot) — try multiple strategies
-  const domainCandidates = [
-    distPage.getByLabel(/shopify domain|store domain|domain/i).first(),
-    distPage.locator('input[placeholder*="myshopify" i], input[placeholder*="myshopify.com" i]').first(),
-    distPage.locator('main input[type="text"], main input:not([type])').first(),
-  ];
-
-  let domainInput = null;
-  for (const cand of domainCandidates) {
-    try {
-      if ((await cand.count()) > 0) {
-        domainInput = cand;
-        break;
-      }
-    } catch {}
-  }
+  // Domain input selector (Shopify UI changes a lot) — the registry holds the fallback chain
+  const domainInput = (await find(distPage, "distribution.domainInput"))?.first();
 
   if (!domainInput) {
-    await safeScreenshot(distPage, "storage/domain-input-not-found.png");
-    throw new Error(`Could not find domain input on distribution page. URL: ${distPage.url()}`);
+    await saveScreenshot(distPage, "domain-input-not-found.png");
+    throw shopifyError("DISTRIBUTION_FORM_MISSING", `Could not find domain input on distribution page. URL: ${distPage.url()}`, {
+      url: distPage.url(),
+    });
   }
 
   await domainInput.waitFor({ state: "visible", timeout: 60_000 });
@@ -545,36 +896,37 @@ async function fillDomainAndGenerateLink(distPage, store_domain) {
   await domainInput.type(store_domain, { delay: 25 });
 
   const typed = await domainInput.inputValue().catch(() => "");
-  console.log("Domain typed value:", typed);
+  log.info("Domain typed value matches:", typed.trim() === store_domain, "length:", typed.length);
 
   if (typed.trim() !== store_domain) {
-    await safeScreenshot(distPage, "domain-did-not-stick.png");
-    throw new Error(`Domain did not stick. Expected "${store_domain}", got "${typed}"`);
+    await saveScreenshot(distPage, "domain-did-not-stick.png");
+    throw domainError("VALUE_DID_NOT_STICK", distPage, store_domain, `Domain did not stick. Expected "${store_domain}", got "${typed}"`);
   }
 
-  const genBtn = distPage.locator('button:has-text("Generate link"), button:has-text("Generate")').first();
-  await genBtn.waitFor({ timeout: 30_000 });
+  // Links already listed on the page (earlier stores) must not be mistaken for the new one
+  capture?.clear("install_link");
+
+  const genBtn = (await locate(distPage, "distribution.generateLink")).first();
   await genBtn.click({ force: true });
-  console.log('Clicked: "Generate link" (first)');
+  log.info('Clicked: "Generate link" (first)');
   await sleep(800);
 
-  const modal = distPage.locator('[role="dialog"], .Polaris-Modal-Dialog, .Polaris-Modal').first();
-  if ((await modal.count()) > 0) {
-    const modalGen = modal.locator('button:has-text("Generate link"), button:has-text("Generate")').first();
-    await modalGen.waitFor({ timeout: 30_000 });
-    await modalGen.click({ force: true });
-    console.log('Clicked: "Generate link" (modal confirm)');
+  if (await confirmModal(distPage, "modal.generateLink", { timeout: 30_000 })) {
+    log.info('Clicked: "Generate link" (modal confirm)');
     await sleep(1200);
   }
 
-  await safeScreenshot(distPage, "distribution-after-generate.png");
+  await saveScreenshot(distPage, "distribution-after-generate.png");
   await sleep(900);
 
-  // Scrape install link
-  let link = "";
-  try {
-    link = (await distPage.getByRole("textbox", { name: /install link/i }).inputValue()).trim();
-  } catch {}
+  // Install link: from the generate response first, DOM as fallback
+  let link = capture ? (await capture.waitFor(["install_link"], 3_000)).install_link : "";
+  let source = link ? "network" : null;
+
+  if (!link) {
+    const installLink = await find(distPage, "distribution.installLink");
+    if (installLink) link = (await installLink.first().inputValue().catch(() => "")).trim();
+  }
 
   if (!link) {
     const inputs = distPage.locator("input");
@@ -588,202 +940,865 @@ async function fillDomainAndGenerateLink(distPage, store_domain) {
     }
   }
 
-  console.log("SCRAPED distributionLink length:", (link || "").length);
-  return link;
+  if (link && !source) source = "dom";
+  log.info("SCRAPED distributionLink length:", (link || "").length, "source:", source);
+
+  if (!link) {
+    // Shopify explains refusals (e.g. store outside the Plus organization) inline or in a banner
+    const refusal = await readDistributionError(distPage);
+    await saveScreenshot(distPage, "distribution-link-not-generated.png");
+    throw domainError(
+      "LINK_NOT_GENERATED",
+      distPage,
+      store_domain,
+      refusal
+        ? `Shopify refused store domain "${store_domain}": ${refusal}`
+        : `Install link was not generated for "${store_domain}". URL: ${distPage.url()}`,
+      // A refusal does not go away by trying again
+      { refused: !!refusal, retryable: !refusal }
+    );
+  }
+
+  return { link, source };
 }
 
+// Errors that concern one store domain only (so a multi-domain run can carry on with the rest).
+function domainError(code, distPage, store_domain, message, { refused = false, retryable } = {}) {
+  return shopifyError(code, message, { url: distPage.url(), retryable, store_domain, refused });
+}
 
-// ✅ Put getStorageState at top-level (outside generateShopifyApp)
-function getStorageState() {
-  const json = process.env.SHOPIFY_STORAGE_STATE_JSON?.trim();
-  if (json) {
-    try {
-      return JSON.parse(json);
-    } catch {
-      throw new Error("Invalid SHOPIFY_STORAGE_STATE_JSON (must be valid JSON)");
-    }
+async function readDistributionError(distPage) {
+  const errors = await find(distPage, "distribution.error");
+  const n = errors ? await errors.count().catch(() => 0) : 0;
+  for (let i = 0; i < n; i++) {
+    const text = clean(await errors.nth(i).innerText().catch(() => ""));
+    if (text) return text;
   }
+  return "";
+}
 
-  const localPath = "storage/shopify-storage.json";
-  if (fs.existsSync(localPath)) return localPath;
 
-  return undefined;
-}
+// -------- create --------
+// Look for an app with exactly this name on the apps list so retries reuse it instead of creating a duplicate.
+async function findExistingApp(page, appName) {
+  // The list renders client-side; wait for the same anchor the create step uses
+  await locate(page, "apps.createApp", { timeout: 60_000 }).catch(() => {});
 
-export async function generateShopifyApp({ brand_name, store_domain }) {
-  const dashboardUrl = process.env.SHOPIFY_DEV_DASHBOARD_URL;
-  const partnersId = process.env.SHOPIFY_PARTNERS_ID || "2767396";
+  const links = await find(page, "apps.appLink", { vars: { app_name: appName } });
+  const n = links ? await links.count().catch(() => 0) : 0;
 
-  if (!dashboardUrl) throw new Error("Missing env var: SHOPIFY_DEV_DASHBOARD_URL");
-  if (!brand_name || typeof brand_name !== "string") throw new Error("brand_name is required");
-  if (!store_domain || typeof store_domain !== "string") throw new Error("store_domain is required");
+  for (let i = 0; i < n; i++) {
+    const href = await links.nth(i).getAttribute("href").catch(() => "");
+    const appId = extractAppId(href);
+    if (appId) return appId;
+  }
 
-  const dashboardId = dashboardIdFromUrl(dashboardUrl);
-  const appName = `${brand_name} x Retention`;
+  return null;
+}
 
-  const browser = await chromium.launch({
-    headless: process.env.PW_HEADED !== "1",
-    slowMo: process.env.PW_HEADED === "1" ? 150 : 0,
-    args: process.env.RENDER ? ["--no-sandbox", "--disable-dev-shm-usage"] : undefined,
-  });
+async function createApp(page, appName) {
+  // Click "Create app"
+  const createApp = (await locate(page, "apps.createApp", { timeout: 60_000 })).first();
+  await createApp.click({ force: true });
+  log.info("Clicked: Create app");
+
+  await page.waitForURL(/\/apps\/new\b/, { timeout: 60_000 });
+  log.info("After clicking Create app, URL:", page.url());
+
+  // Fill name
+  const nameInput = (await locate(page, "appsNew.nameInput", { timeout: 60_000 })).first();
+  await nameInput.click({ force: true });
+  await nameInput.fill("");
+  await nameInput.type(appName, { delay: 20 });
+
+  // Submit create form (Shopify UI changes often — try a few options)
+  const submitCreate = (
+    await locate(page, "appsNew.submit", {
+      state: "visible",
+      timeout: 15_000,
+      accept: async (loc) => !(await loc.first().isDisabled().catch(() => false)),
+    }).catch(() => null)
+  )?.first();
+
+  if (!submitCreate) {
+    throw shopifyError("SELECTOR_NOT_FOUND", `Could not find a visible/enabled Create submit button on: ${page.url()}`, {
+      url: page.url(),
+    });
+  }
 
+  await submitCreate.scrollIntoViewIfNeeded();
+  await submitCreate.click({ force: true });
+  log.info('Clicked: Submit "Create"');
+
+  // Created app detail URL
+  await page.waitForURL(/\/apps\/\d+/, { timeout: 120_000 });
+  log.info("Created app detail URL:", page.url());
+
+  const appId = extractAppId(page.url());
+  if (!appId) {
+    await saveScreenshot(page, "create-app-no-appid.png");
+    throw shopifyError("APP_ID_NOT_PARSED", `Create succeeded but couldn't parse appId from URL: ${page.url()}`, {
+      url: page.url(),
+      partial: { app_name: appName },
+    });
+  }
 
-const context = await browser.newContext({
-  storageState: getStorageState(),
-  permissions: ["clipboard-read", "clipboard-write"],
-});
+  return appId;
+}
 
-  const page = await context.newPage();
+// -------- distribution --------
+async function generateDistributionLink(context, { profile, appId, store_domain, onStep = () => {} }) {
+  const distributionUrl = partnersUrl(`/${profile.partners_id}/apps/${appId}/distribution`);
+  log.info("Distribution page URL:", distributionUrl);
 
+  const distPage = await context.newPage();
+  const capture = captureNetworkValues(distPage);
+  let ok = false;
   try {
-    // 1) Apps list
-    await page.goto(dashboardUrl, { waitUntil: "domcontentloaded" });
-    console.log("URL now:", page.url());
-if (page.url().includes("accounts.shopify.com")) {
-  if (process.env.PW_HEADED === "1") {
-    console.log("PW_HEADED=1: Waiting for manual login in the opened browser...");
-    // Give you up to 10 minutes to complete login/2FA
-    await page.waitForURL(/dev\.shopify\.com\/dashboard\//, { timeout: 10 * 60 * 1000 });
-    console.log("Login complete. Current URL:", page.url());
-const savePath = "storage/shopify-storage.json";
-console.log("DEBUG saving storageState to:", savePath);
-await context.storageState({ path: savePath });
-console.log("Saved updated storageState at:", savePath);
-  } else {
-    throw new Error(
-      `NEEDS_LOGIN: Redirected to Shopify Accounts on dev dashboard. Refresh storageState locally (PW_HEADED=1) and update SHOPIFY_STORAGE_STATE_JSON. URL: ${page.url()}`
-    );
+    await distPage.goto(distributionUrl, { waitUntil: "domcontentloaded" });
+    log.info("Distribution page ACTUAL URL:", distPage.url());
+
+    // If Shopify sends us to accounts.shopify.com, it’s a login/2FA wall.
+    // - On Render/headless: hand the page to an operator if the handoff is enabled, else fail fast
+    // - Locally with PW_HEADED=1: let you complete it manually, then continue and save storageState
+    if (onShopifySite("accounts", distPage.url())) {
+      if (process.env.PW_HEADED === "1") {
+        log.info("2FA/login detected on Shopify Accounts. Complete it in the browser window now...");
+
+        // Wait up to 10 minutes for you to finish 2FA and be redirected back to Partners.
+        const start = Date.now();
+        while (Date.now() - start < 10 * 60_000) {
+          if (onShopifySite("partners", distPage.url())) break;
+          await distPage.waitForTimeout(1000);
+        }
+
+        if (!onShopifySite("partners", distPage.url())) {
+          await saveScreenshot(distPage, "still-blocked-by-2fa.png");
+          throw shopifyError("TWO_FACTOR_BLOCKED", `Still blocked by Shopify Accounts after waiting. URL: ${distPage.url()}`, {
+            url: distPage.url(),
+          });
+        }
+
+        log.info("Back on partners after 2FA:", distPage.url());
+
+        // Save fresh storageState that includes Partners access
+        saveStorageState(profile, await context.storageState(), { source: "headed-run" });
+      } else if (handoffEnabled()) {
+        await onStep("awaiting-login");
+        await awaitRemoteLogin(distPage, {
+          reason: "partners-distribution",
+          profile: profile.name,
+          until: (url) => onShopifySite("partners", url),
+        });
+        saveStorageState(profile, await context.storageState(), { source: "handoff" });
+        await onStep("distribution");
+
+        if (!distPage.url().includes("/distribution")) {
+          await distPage.goto(distributionUrl, { waitUntil: "domcontentloaded" });
+        }
+      } else {
+        await assertNotBlockedBy2FA(distPage, "partners-distribution");
+      }
+    }
+
+    await saveScreenshot(distPage, "distribution-before.png");
+
+    // Select custom distribution
+    await selectCustomDistribution(distPage);
+
+    log.info("After selecting custom distribution, URL:", distPage.url());
+    await saveScreenshot(distPage, "distribution-after-select.png");
+
+    const { link, source } = await fillDomainAndGenerateLink(distPage, store_domain, capture);
+    await saveScreenshot(distPage, "distribution-final.png");
+    ok = true;
+    return { distribution_link: clean(link), source };
+  } finally {
+    // The listener goes on every path, so retries don't pile them up; a failed try's tab stays
+    // open for the failure dump (see distributionLinkWithRetry)
+    capture.dispose();
+    if (ok) await distPage.close().catch(() => {});
   }
 }
 
+// generateDistributionLink under the "distribution" retry policy; each try works in its own tab.
+// A failed try's tab stays open (for the failure dump) until the next try starts.
+async function distributionLinkWithRetry(context, opts, attempts) {
+  const open = new Set(context.pages());
+  return withRetry(
+    "distribution",
+    async ({ attempt }) => {
+      if (attempt > 1) {
+        for (const p of context.pages()) if (!open.has(p)) await p.close().catch(() => {});
+      }
+      return generateDistributionLink(context, opts);
+    },
+    { history: attempts }
+  );
+}
 
-    // 2) Click "Create app"
-    const createApp = page.locator('text=/Create\\s+app/i').first();
-    await createApp.waitFor({ timeout: 60_000 });
-    await createApp.click({ force: true });
-    console.log("Clicked: Create app");
+// -------- browser --------
+// Isolated context in the shared browser (see browser.js); close it with closeRunContext, not the browser.
+async function newSessionContext(profile, runId) {
+  const context = await newIsolatedContext({
+    storageState: getStorageState(profile),
+    permissions: ["clipboard-read", "clipboard-write"],
+  });
+  // Fresh registry per run, so a SELECTORS_PATH edit applies without a restart
+  bindSelectors(context);
+  await bindRunArtifacts(context, runId);
+  return context;
+}
 
-    await page.waitForURL(/\/apps\/new\b/, { timeout: 60_000 });
-    console.log("After clicking Create app, URL:", page.url());
+// Save the run's artifacts (page dumps when it failed, the trace) and close its context.
+async function closeRunContext(context, error = null) {
+  await finishRunArtifacts(context, { error });
+  await context.close();
+}
 
-    // 3) Fill name
-    const nameInput = page.locator("#app_form_name").first();
-    await nameInput.waitFor({ timeout: 60_000 });
-    await nameInput.click({ force: true });
-    await nameInput.fill("");
-    await nameInput.type(appName, { delay: 20 });
+// Open the dashboard apps list and make sure the stored session is still logged in.
+async function openDashboard(profile, { runId, onStep = () => {} } = {}) {
+  const dashboardUrl = profile.dashboard_url;
+  const context = await newSessionContext(profile, runId);
 
-// 4) Submit create form (Shopify UI changes often — try a few options)
-const submitCreateCandidates = [
-  page.getByRole("button", { name: /^create$/i }).first(),
-  page.getByRole("button", { name: /create app/i }).first(),
-  page.locator('button[type="submit"]').first(),
-  page.locator('form button[type="submit"]').first(),
-];
+  try {
+    const page = await context.newPage();
 
-let submitCreate = null;
+    await page.goto(dashboardUrl, { waitUntil: "domcontentloaded" });
+    log.info("URL now:", page.url());
+    if (onShopifySite("accounts", page.url())) {
+      if (process.env.PW_HEADED === "1") {
+        log.info("PW_HEADED=1: Waiting for manual login in the opened browser...");
+        // Give you up to 10 minutes to complete login/2FA
+        await page.waitForURL((u) => onShopifySite("dev", u.toString()) && u.pathname.includes("/dashboard/"), {
+          timeout: 10 * 60 * 1000,
+        });
+        log.info("Login complete. Current URL:", page.url());
+        saveStorageState(profile, await context.storageState(), { source: "headed-run" });
+      } else if (handoffEnabled()) {
+        await onStep("awaiting-login");
+        await awaitRemoteLogin(page, {
+          reason: "dev-dashboard",
+          profile: profile.name,
+          until: (url) => onShopifySite("dev", url) && url.includes("/dashboard/"),
+        });
+        saveStorageState(profile, await context.storageState(), { source: "handoff" });
+        // The create step starts from the apps list
+        if (page.url() !== dashboardUrl) await page.goto(dashboardUrl, { waitUntil: "domcontentloaded" });
+      } else {
+        throw shopifyError(
+          "SESSION_EXPIRED",
+          `NEEDS_LOGIN: Redirected to Shopify Accounts on dev dashboard. Log in locally (npm run session:login) and upload the fresh storageState (PUT /session/storage-state). URL: ${page.url()}`,
+          { url: page.url() }
+        );
+      }
+    }
+
+    return { context, page };
+  } catch (err) {
+    await closeRunContext(context, err);
+    throw err;
+  }
+}
 
-for (const cand of submitCreateCandidates) {
+function settingsUrlOf(dashboardId, appId) {
+  return devUrl(`/dashboard/${dashboardId}/apps/${appId}/settings`);
+}
+
+// Open the app's settings page and read its Client ID/secret (skipping `excludeSecret`)
+async function readSettingsCredentials(page, settingsUrl, { excludeSecret = null } = {}) {
+  // Capture before navigating so the settings page's own API responses are seen
+  const capture = captureNetworkValues(page, { ignore: excludeSecret ? [excludeSecret] : [] });
   try {
-    if ((await cand.count()) === 0) continue;
-    await cand.waitFor({ state: "visible", timeout: 15_000 });
-    const disabled = await cand.isDisabled().catch(() => false);
-    if (disabled) continue;
-    submitCreate = cand;
-    break;
-  } catch {}
+    await page.goto(settingsUrl, { waitUntil: "domcontentloaded" });
+    await sleep(1200);
+    log.info("Settings page URL:", page.url());
+    await saveScreenshot(page, "app-settings.png");
+    return await scrapeClientIdAndSecret(page, capture, { excludeSecret });
+  } finally {
+    capture.dispose();
+  }
 }
 
-if (!submitCreate) {
-  throw new Error(`Could not find a visible/enabled Create submit button on: ${page.url()}`);
+// Client ID/secret from the app's settings page, retried per the "scrape-credentials" policy (kept out of the trace)
+async function scrapeSettingsCredentials(page, { dashboardId, appId, attempts }) {
+  const settingsUrl = settingsUrlOf(dashboardId, appId);
+  return withTracingPaused(page, () =>
+    withRetry("scrape-credentials", () => readSettingsCredentials(page, settingsUrl), { history: attempts })
+  );
+}
+
+// "expires in 24 hours" / "valid until Oct 20, 2026 ..." -> ISO time, or null when the note names none
+function graceEndsAt(note, now = Date.now()) {
+  const relative = note.match(/\b(\d+)\s*(minute|hour|day)s?\b/i);
+  if (relative) {
+    const unitMs = { minute: 60_000, hour: 3_600_000, day: 86_400_000 }[relative[2].toLowerCase()];
+    return new Date(now + Number(relative[1]) * unitMs).toISOString();
+  }
+
+  const absolute = note.match(/\b(?:until|on|at|expires)\s+(.+?)(?:\.(?:\s|$)|$)/i);
+  const t = absolute ? Date.parse(absolute[1]) : NaN;
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+// What the settings page says about the replaced secret after a rotation
+async function previousSecretStatus(page) {
+  const noteEl = (await find(page, "settings.previousSecretNote"))?.first();
+  const note = noteEl ? clean(await noteEl.textContent().catch(() => "")) : "";
+  if (!note) return { still_valid: false, expires_at: null, note: null };
+
+  const expires_at = graceEndsAt(note);
+  return {
+    still_valid: expires_at ? Date.parse(expires_at) > Date.now() : !/revoked|no longer (valid|works)|invalid/i.test(note),
+    expires_at,
+    note,
+  };
+}
+
+// What a failed run already achieved, for error.partial (no credentials: those only go to the vault)
+function partialResult(progress) {
+  const fields = ["app_id", "app_name", "reused_existing_app", "active_version_id"];
+  return Object.fromEntries(fields.filter((k) => progress[k] !== undefined).map((k) => [k, progress[k]]));
 }
 
-await submitCreate.scrollIntoViewIfNeeded();
-await submitCreate.click({ force: true });
-console.log('Clicked: Submit "Create"');
+export async function generateShopifyApp(
+  { brand_name, store_domain, reuse_existing_app = true, app_config, profile: profileName },
+  { onStep = () => {}, progress: resumeFrom = {}, onCheckpoint = () => {}, runId = crypto.randomUUID() } = {}
+) {
+  const profile = runProfile(profileName);
+
+  if (!brand_name || typeof brand_name !== "string") throw shopifyError("INVALID_INPUT", "brand_name is required");
+  if (!store_domain || typeof store_domain !== "string") throw shopifyError("INVALID_INPUT", "store_domain is required");
+
+  const dashboardId = profile.dashboard_id;
+  const config = app_config || resolveAppConfig({}, profile);
+  const progress = { ...resumeFrom };
+  const appName = progress.app_name || renderAppName(config.app_name_template, { brand_name, store_domain });
+
+  const checkpoint = async (patch) => {
+    Object.assign(progress, patch);
+    await onCheckpoint(patch);
+  };
 
-    // 5) Created app detail URL
-    await page.waitForURL(/\/apps\/\d+/, { timeout: 120_000 });
-    console.log("Created app detail URL:", page.url());
+  // Every try of every retried step, reported with the result (see retry.js)
+  const attempts = [];
+  let failure = null;
 
-    const appId = extractAppId(page.url());
-    if (!appId) {
-      await safeScreenshot(page, "create-app-no-appid.png");
-      throw new Error(`Create succeeded but couldn't parse appId from URL: ${page.url()}`);
+  // 1) Apps list (openDashboard fails fast when the session needs a login and no handoff is possible)
+  const { context, page } = await openDashboard(profile, { runId, onStep }).catch((err) => {
+    throw withRunContext(err, { partial: partialResult(progress), attempts });
+  });
+
+  try {
+    // 2) Create the app (skipped when resuming a run that already created it,
+    //    or when an app with the same name already exists on the dashboard)
+    let appId = progress.app_id;
+    if (appId) {
+      log.info("Resuming with existing appId:", appId);
+    } else {
+      await onStep("create");
+
+      // One lookup + create per organization at a time, so two parallel runs for the same
+      // name cannot both miss the app on the list and create it twice
+      appId = await withLock(`apps-list:${profile.dashboard_id}`, ({ waited }) =>
+        // A retry looks the app up again first (a failed try may have created it), so it is
+        // only safe when reusing existing apps; otherwise create runs exactly once
+        withRetry(
+          "create",
+          async ({ attempt }) => {
+            if (waited && attempt === 1) {
+              log.info("Apps list changed while waiting for the organization lock; reloading");
+              await page.goto(profile.dashboard_url, { waitUntil: "domcontentloaded" });
+            }
+
+            const existingAppId = reuse_existing_app ? await findExistingApp(page, appName) : null;
+            if (existingAppId) {
+              log.info(`Reusing existing app "${appName}":`, existingAppId);
+              await checkpoint({ app_id: existingAppId, app_name: appName, reused_existing_app: true });
+              return existingAppId;
+            }
+
+            const createdAppId = await createApp(page, appName);
+            await checkpoint({ app_id: createdAppId, app_name: appName });
+            return createdAppId;
+          },
+          { page, reloadUrl: profile.dashboard_url, idempotent: reuse_existing_app, history: attempts }
+        )
+      );
     }
 
-    // 6) Configure version fields + Release
-    await configureVersionAndRelease(page, { appId, dashboardId });
+    // 3) Configure version fields + Release
+    if (!progress.version_released) {
+      await onStep("configure-version");
+      const { verification } = await configureVersionAndRelease(page, { appId, dashboardId, config, onStep, attempts });
+      await checkpoint({ version_released: true, active_version_id: verification.active_version_id });
+    }
 
-    // 7) Settings: scrape Client ID/Secret
-    const settingsUrl = `https://dev.shopify.com/dashboard/${dashboardId}/apps/${appId}/settings`;
-    await page.goto(settingsUrl, { waitUntil: "domcontentloaded" });
-    await sleep(1200);
-    console.log("Settings page URL:", page.url());
-    await safeScreenshot(page, "app-settings.png");
-
-    const { clientId, clientSecret } = await scrapeClientIdAndSecret(page);
-
-    // 8) Distribution (Partners) — THIS IS WHERE 2FA BLOCKS IN HEADLESS
-    const distributionUrl = `https://partners.shopify.com/${partnersId}/apps/${appId}/distribution`;
-    console.log("Distribution page URL:", distributionUrl);
-
-const distPage = await context.newPage();
-await distPage.goto(distributionUrl, { waitUntil: "domcontentloaded" });
-console.log("Distribution page ACTUAL URL:", distPage.url());
-
-// If Shopify sends us to accounts.shopify.com, it’s a login/2FA wall.
-// - On Render/headless: fail fast (can't complete 2FA)
-// - Locally with PW_HEADED=1: let you complete it manually, then continue and save storageState
-if (distPage.url().includes("accounts.shopify.com")) {
-  if (process.env.PW_HEADED === "1") {
-    console.log("2FA/login detected on Shopify Accounts. Complete it in the browser window now...");
-
-    // Wait up to 10 minutes for you to finish 2FA and be redirected back to Partners.
-    const start = Date.now();
-    while (Date.now() - start < 10 * 60_000) {
-      if (distPage.url().includes("partners.shopify.com")) break;
-      await distPage.waitForTimeout(1000);
+    // 4) Settings: scrape Client ID/Secret
+    if (!progress.credentials_scraped) {
+      await onStep("scrape-credentials");
+      const { clientId, clientSecret, sources } = await scrapeSettingsCredentials(page, { dashboardId, appId, attempts });
+      await checkpoint({
+        client_id: clean(clientId),
+        client_secret: clean(clientSecret),
+        credentials_scraped: true,
+        sources: { ...progress.sources, ...sources },
+      });
     }
 
-    if (!distPage.url().includes("partners.shopify.com")) {
-      await safeScreenshot(distPage, "storage/still-blocked-by-2fa.png");
-      throw new Error(`Still blocked by Shopify Accounts after waiting. URL: ${distPage.url()}`);
+    // 5) Distribution (Partners) — THIS IS WHERE 2FA BLOCKS IN HEADLESS
+    if (!progress.link_generated) {
+      await onStep("distribution");
+      const { distribution_link, source } = await distributionLinkWithRetry(
+        context,
+        { profile, appId, store_domain, onStep },
+        attempts
+      );
+      await checkpoint({
+        distribution_link,
+        link_generated: true,
+        sources: { ...progress.sources, distribution_link: source },
+      });
     }
 
-    console.log("Back on partners after 2FA:", distPage.url());
+    return {
+      run_id: runId,
+      profile: profile.name,
+      app_name: appName,
+      app_id: appId,
+      reused_existing_app: !!progress.reused_existing_app,
+      active_version_id: progress.active_version_id || null,
+      client_id: progress.client_id,
+      client_secret: progress.client_secret,
+      distribution_link: progress.distribution_link,
+      // where each value was read from: network | clipboard | dom
+      sources: progress.sources || {},
+      // selector registry version + which strategy matched per target
+      selectors: selectorReport(context),
+      // every try of the retried steps (step, attempt, ok, duration_ms, error)
+      attempts,
+      note:
+        "Created app + configured version + released + scraped Client ID/secret + generated distribution link (if not blocked by 2FA).",
+      store_domain,
+    };
+  } catch (err) {
+    failure = withRunContext(err, { url: page.url(), partial: partialResult(progress), attempts });
+    throw failure;
+  } finally {
+    await closeRunContext(context, failure);
+  }
+}
+/**
+ * Release a new version of an existing app with some fields changed.
+ * `app_config` is a partial spec; every field it leaves out keeps the value
+ * the app's current version already has. Returns a before/after diff.
+ */
+export async function releaseAppVersion(
+  { app_id, app_config = {}, profile: profileName },
+  { onStep = () => {}, runId = crypto.randomUUID() } = {}
+) {
+  const profile = runProfile(profileName);
+
+  if (!app_id || !/^\d+$/.test(String(app_id))) throw shopifyError("INVALID_INPUT", "app_id must be numeric");
 
-// Save fresh storageState that includes Partners access
-const savePath = "storage/shopify-storage.json"; // local canonical path
-console.log("DEBUG saving storageState to:", savePath);
-await context.storageState({ path: savePath });
-console.log("Saved updated storageState at:", savePath);
-  } else {
-    await assertNotBlockedBy2FA(distPage, "partners-distribution");
+  const dashboardId = profile.dashboard_id;
+  const { context, page } = await openDashboard(profile, { runId, onStep });
+  const attempts = [];
+  let failure = null;
+
+  try {
+    await onStep("configure-version");
+    const { before, after, verification } = await configureVersionAndRelease(page, {
+      appId: String(app_id),
+      dashboardId,
+      overrides: app_config,
+      onStep,
+      attempts,
+    });
+
+    return {
+      run_id: runId,
+      profile: profile.name,
+      app_id: String(app_id),
+      released: true,
+      active_version_id: verification.active_version_id,
+      diff: diffAppConfig(before, after),
+      before,
+      after,
+      selectors: selectorReport(context),
+      attempts,
+    };
+  } catch (err) {
+    failure = withRunContext(err, { url: page.url(), attempts });
+    throw failure;
+  } finally {
+    await closeRunContext(context, failure);
   }
 }
 
-await safeScreenshot(distPage, "storage/distribution-before.png");
+/**
+ * Read an existing app's Client ID and secret again (after the secret was rotated in the
+ * Dev Dashboard, or when the stored copy was lost).
+ */
+export async function scrapeAppCredentials(
+  { app_id, profile: profileName },
+  { onStep = () => {}, runId = crypto.randomUUID() } = {}
+) {
+  const profile = runProfile(profileName);
 
-// 9) Select custom distribution
-await selectCustomDistribution(distPage);
+  if (!app_id || !/^\d+$/.test(String(app_id))) throw shopifyError("INVALID_INPUT", "app_id must be numeric");
 
-    console.log("After selecting custom distribution, URL:", distPage.url());
-    await safeScreenshot(distPage, "distribution-after-select.png");
+  const { context, page } = await openDashboard(profile, { runId, onStep });
+  const attempts = [];
+  let failure = null;
 
-    const distributionLink = await fillDomainAndGenerateLink(distPage, store_domain);
-    await safeScreenshot(distPage, "distribution-final.png");
+  try {
+    await onStep("scrape-credentials");
+    const { clientId, clientSecret, sources } = await scrapeSettingsCredentials(page, {
+      dashboardId: profile.dashboard_id,
+      appId: String(app_id),
+      attempts,
+    });
+
+    if (!clean(clientSecret)) {
+      throw shopifyError("SELECTOR_NOT_FOUND", `No client secret found on the settings page of app ${app_id}`, {
+        url: page.url(),
+      });
+    }
 
     return {
-      app_name: appName,
+      run_id: runId,
+      profile: profile.name,
+      app_id: String(app_id),
       client_id: clean(clientId),
       client_secret: clean(clientSecret),
-      distribution_link: clean(distributionLink),
-      note:
-        "Created app + configured version + released + scraped Client ID/secret + generated distribution link (if not blocked by 2FA).",
-      store_domain,
+      sources,
+      selectors: selectorReport(context),
+      attempts,
+    };
+  } catch (err) {
+    failure = withRunContext(err, { url: page.url(), attempts });
+    throw failure;
+  } finally {
+    await closeRunContext(context, failure);
+  }
+}
+
+/**
+ * Rotate an app's client secret on its settings page: click "Rotate", confirm the modal, then
+ * read the new shpss_ secret back and check it differs from the one before (`previous_secret`,
+ * else whatever the page showed before rotating). When the page says the old secret keeps
+ * working for a while, `previous_secret` in the result reports until when.
+ *
+ * The rotate click is never retried: a second one would rotate again.
+ */
+export async function rotateAppSecret(
+  { app_id, profile: profileName, previous_secret = null },
+  { onStep = () => {}, runId = crypto.randomUUID() } = {}
+) {
+  const profile = runProfile(profileName);
+
+  if (!app_id || !/^\d+$/.test(String(app_id))) throw shopifyError("INVALID_INPUT", "app_id must be numeric");
+
+  const settingsUrl = settingsUrlOf(profile.dashboard_id, String(app_id));
+  const { context, page } = await openDashboard(profile, { runId, onStep });
+  const attempts = [];
+  let failure = null;
+  let rotated = false;
+
+  try {
+    // The settings page shows both secrets throughout; none of it goes into the trace
+    return await withTracingPaused(page, async () => {
+      await onStep("scrape-credentials");
+      const before = await scrapeSettingsCredentials(page, {
+        dashboardId: profile.dashboard_id,
+        appId: String(app_id),
+        attempts,
+      });
+      const oldSecret = clean(before.clientSecret) || previous_secret;
+      if (!oldSecret) {
+        throw shopifyError("SELECTOR_NOT_FOUND", `No client secret found on the settings page of app ${app_id}`, {
+          url: page.url(),
+        });
+      }
+
+      await onStep("rotate-secret");
+      // The rotation's own API response usually carries the new secret
+      const capture = captureNetworkValues(page, { ignore: [oldSecret] });
+      try {
+        const rotate = (await locate(page, "settings.rotateSecret", { state: "visible" })).first();
+        await rotate.click({ force: true });
+        log.info('Clicked: "Rotate secret"');
+        await page.waitForTimeout(800);
+
+        if (!(await confirmModal(page, "modal.confirmRotate", { timeout: 15_000 }))) {
+          await saveScreenshot(page, "rotate-no-confirm-modal.png");
+          throw shopifyError("SELECTOR_NOT_FOUND", "Secret rotation asked for no confirmation (no modal found)", {
+            url: page.url(),
+          });
+        }
+        rotated = true;
+        log.info('Clicked: Confirm "Rotate"');
+        await page.waitForLoadState("networkidle").catch(() => {});
+        await saveScreenshot(page, "rotate-confirmed.png");
+      } finally {
+        capture.dispose();
+      }
+
+      await onStep("verify-secret");
+      const after = await withRetry(
+        "verify-secret",
+        async ({ attempt }) => {
+          const fromRotation = attempt === 1 ? capture.get("client_secret") : "";
+          const read = fromRotation
+            ? { clientId: before.clientId, clientSecret: fromRotation, sources: { client_secret: "network" } }
+            : await readSettingsCredentials(page, settingsUrl, { excludeSecret: oldSecret });
+
+          const secret = clean(read.clientSecret);
+          if (!secret || secret === oldSecret) {
+            throw shopifyError("SECRET_NOT_ROTATED", `No new client secret on the settings page of app ${app_id}`, {
+              url: page.url(),
+              retryable: true,
+            });
+          }
+          return { ...read, clientSecret: secret };
+        },
+        { history: attempts }
+      );
+
+      // The grace note lives on the settings page; make sure we are on it
+      if (!page.url().startsWith(settingsUrl)) await page.goto(settingsUrl, { waitUntil: "domcontentloaded" });
+      const previous = await previousSecretStatus(page);
+      log.info("Rotated client secret; previous secret still valid:", previous.still_valid, previous.expires_at || "");
+
+      return {
+        run_id: runId,
+        profile: profile.name,
+        app_id: String(app_id),
+        client_id: clean(after.clientId) || clean(before.clientId),
+        client_secret: after.clientSecret,
+        // the replaced secret: whether Shopify keeps accepting it, and until when
+        previous_secret: previous,
+        sources: after.sources,
+        selectors: selectorReport(context),
+        attempts,
+      };
+    });
+  } catch (err) {
+    // Once confirmed the rotation may have happened even though reading it back failed
+    const partial = rotated ? { app_id: String(app_id), rotation_confirmed: true } : null;
+    failure = withRunContext(err, { url: page.url(), partial, attempts });
+    throw failure;
+  } finally {
+    await closeRunContext(context, failure);
+  }
+}
+
+/**
+ * Issue custom-distribution install links for an existing app, one per store domain.
+ * A domain Shopify refuses gets its own error entry; login/2FA walls still fail the whole run.
+ */
+export async function generateDistributionLinks(
+  { app_id, store_domains, profile: profileName },
+  { onStep = () => {}, runId = crypto.randomUUID() } = {}
+) {
+  const profile = runProfile(profileName);
+
+  if (!app_id || !/^\d+$/.test(String(app_id))) throw shopifyError("INVALID_INPUT", "app_id must be numeric");
+  if (!Array.isArray(store_domains) || !store_domains.length) throw shopifyError("INVALID_INPUT", "store_domains is required");
+
+  const context = await newSessionContext(profile, runId);
+  const links = [];
+  const attempts = [];
+  let failure = null;
+
+  try {
+    await onStep("distribution");
+    for (const store_domain of store_domains) {
+      try {
+        const { distribution_link, source } = await distributionLinkWithRetry(
+          context,
+          { profile, appId: String(app_id), store_domain, onStep },
+          attempts
+        );
+        links.push({ store_domain, ok: true, distribution_link, source });
+      } catch (err) {
+        if (!err?.store_domain) throw err;
+        log.info(`Distribution link failed for ${store_domain}:`, err.message);
+        links.push({
+          store_domain,
+          ok: false,
+          code: err.code,
+          refused: !!err.refused,
+          retryable: !!err.retryable,
+          error: err.message,
+        });
+      }
+    }
+
+    return {
+      run_id: runId,
+      profile: profile.name,
+      app_id: String(app_id),
+      links,
+      failed_count: links.filter((l) => !l.ok).length,
+      selectors: selectorReport(context),
+      attempts,
+    };
+  } catch (err) {
+    // Links issued before a login wall stopped the run are still valid
+    failure = withRunContext(err, { partial: links.length ? { app_id: String(app_id), links } : null, attempts });
+    throw failure;
+  } finally {
+    await closeRunContext(context, failure);
+  }
+}
+
+// -------- inventory --------
+// Apps list column header -> inventory field (the app's id and name come from its link)
+const INVENTORY_COLUMNS = {
+  active_version: /version/i,
+  released_at: /releas|updated/i,
+  distribution: /distribution/i,
+};
+
+// Blank and placeholder cells ("—") read as null
+function cellValue(text) {
+  const v = clean(text);
+  return v && !/^[-—–]$/.test(v) ? v : null;
+}
+
+// "Oct 18, 2026" -> ISO time; text that is no date (e.g. "2 days ago") is kept as shown
+function releaseDate(text) {
+  const v = cellValue(text);
+  const t = v ? Date.parse(v) : NaN;
+  return Number.isFinite(t) ? new Date(t).toISOString() : v;
+}
+
+// The apps on the list page as currently shown, and which INVENTORY_COLUMNS the list has
+async function readAppsListPage(page) {
+  const headers = await find(page, "apps.columnHeader");
+  const headerTexts = headers ? (await headers.allInnerTexts().catch(() => [])).map(clean) : [];
+  const columnOf = (field) => headerTexts.findIndex((h) => INVENTORY_COLUMNS[field].test(h));
+
+  const rows = await find(page, "apps.row");
+  const n = rows ? await rows.count().catch(() => 0) : 0;
+  const apps = [];
+
+  for (let i = 0; i < n; i++) {
+    const row = rows.nth(i);
+    const link = (await find(row, "apps.rowLink"))?.first();
+    const href = link ? await link.getAttribute("href").catch(() => "") : "";
+    const appId = extractAppId(href);
+    if (!appId) continue;
+
+    const cells = (
+      await row.locator('th, td, [role="cell"], [role="gridcell"], [role="rowheader"]').allInnerTexts().catch(() => [])
+    ).map(clean);
+    const cell = (field) => (columnOf(field) === -1 ? null : cells[columnOf(field)]);
+
+    apps.push({
+      app_id: appId,
+      name: clean(await link.innerText().catch(() => "")),
+      url: new URL(href, page.url()).toString(),
+      active_version: cellValue(cell("active_version")),
+      released_at: releaseDate(cell("released_at")),
+      distribution: cellValue(cell("distribution")),
+      // every column as the list shows it, for the ones not mapped above
+      columns: Object.fromEntries(headerTexts.map((h, j) => [h || `column ${j + 1}`, cellValue(cells[j])])),
+    });
+  }
+
+  return { apps, fields: Object.keys(INVENTORY_COLUMNS).filter((f) => columnOf(f) !== -1) };
+}
+
+async function firstListedAppId(page) {
+  const rows = await find(page, "apps.row");
+  const link = rows ? (await find(rows.first(), "apps.rowLink"))?.first() : null;
+  return link ? extractAppId(await link.getAttribute("href").catch(() => "")) : null;
+}
+
+async function pageControlDisabled(control) {
+  if (await control.isDisabled().catch(() => false)) return true;
+  return (await control.getAttribute("aria-disabled").catch(() => null)) === "true";
+}
+
+// The list may paginate by URL or client-side; either way its first row changes
+async function waitForNextAppsPage(page, previousFirstId) {
+  const deadline = Date.now() + 30_000;
+  while (Date.now() < deadline) {
+    await sleep(500);
+    const id = await firstListedAppId(page);
+    if (id && id !== previousFirstId) return;
+  }
+
+  await saveScreenshot(page, "apps-list-next-page-not-loaded.png");
+  throw shopifyError("INVENTORY_INCOMPLETE", `The apps list did not show its next page (still at app ${previousFirstId}): ${page.url()}`, {
+    url: page.url(),
+  });
+}
+
+/**
+ * Every app on the Dev Dashboard apps list, page by page: app_id, name, url, active_version,
+ * released_at and distribution, plus all columns as shown. `fields` names the ones the list
+ * has a column for (the others are null). Reads at most `max_pages` pages; `truncated` says
+ * when there were more.
+ */
+export async function listDashboardApps(
+  { profile: profileName, max_pages = 50 } = {},
+  { onStep = () => {}, runId = crypto.randomUUID() } = {}
+) {
+  const profile = runProfile(profileName);
+
+  const { context, page } = await openDashboard(profile, { runId, onStep });
+  const apps = new Map();
+  const fields = new Set();
+  let pages = 0;
+  let truncated = false;
+  let failure = null;
+
+  try {
+    await onStep("inventory");
+    // The list renders client-side; wait for the same anchor the create step uses
+    await locate(page, "apps.createApp", { timeout: 60_000 }).catch(() => {});
+
+    for (;;) {
+      pages++;
+      const { apps: listed, fields: found } = await readAppsListPage(page);
+      found.forEach((f) => fields.add(f));
+      log.info(`Apps list page ${pages}: ${listed.length} app(s)`);
+      await saveScreenshot(page, `apps-list-page${pages}.png`);
+
+      // A page of apps already seen means the pager went around; stop rather than loop
+      const fresh = listed.filter((a) => !apps.has(a.app_id));
+      for (const a of fresh) apps.set(a.app_id, a);
+
+      const next = (await find(page, "apps.nextPage", { state: "visible" }))?.first();
+      if (!next || !fresh.length || (await pageControlDisabled(next))) break;
+      if (pages >= max_pages) {
+        log.warn(`Apps list has more than ${max_pages} page(s); inventory truncated`);
+        truncated = true;
+        break;
+      }
+
+      await next.click({ force: true });
+      await waitForNextAppsPage(page, listed[0].app_id);
+    }
+
+    return {
+      run_id: runId,
+      profile: profile.name,
+      scraped_at: new Date().toISOString(),
+      pages,
+      truncated,
+      fields: [...fields],
+      apps: [...apps.values()],
+      selectors: selectorReport(context),
     };
+  } catch (err) {
+    failure = withRunContext(err, { url: page.url(), partial: { pages_read: pages - 1, apps_read: apps.size } });
+    throw failure;
   } finally {
-    await browser.close();
+    await closeRunContext(context, failure);
   }
-}
\ No newline at end of file
+}
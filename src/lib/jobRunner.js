@@ -0,0 +1,273 @@
+// src/lib/jobRunner.js
+import {
+  generateShopifyApp,
+  releaseAppVersion,
+  generateDistributionLinks,
+  scrapeAppCredentials,
+  rotateAppSecret,
+  listDashboardApps,
+} from "./generateShopifyApp.js";
+import { JOB_STATUS, getJob, updateJob, listJobs } from "./jobStore.js";
+import { shopifyError, serializeError, withRunContext } from "./errors.js";
+import { log, runWithLogContext, enterStep, finishSteps } from "./logger.js";
+import { recordRun } from "./metrics.js";
+import { audit } from "./audit.js";
+import { storeCredentials, storedSecret, credentialsRef } from "./credentialVault.js";
+import { saveInventory, inventoryMaxPages } from "./appInventory.js";
+
+/**
+ * In-process FIFO runner for jobs in the job store.
+ *
+ * Up to MAX_CONCURRENT_RUNS jobs run side by side, each in its own context of
+ * the shared browser (see browser.js); the rest wait in arrival order. Progress
+ * (status, current step and checkpoints) is written back to the store as the
+ * run advances, so a failed job can be resumed from its first unfinished step.
+ *
+ * Each run's log lines carry its job id, profile and step (see logger.js), and
+ * every step's start, end and duration is stored on the job as `steps`
+ * ("setup" covers launch and login, before the handler reports its first step).
+ *
+ * Credentials (client ID, client secret, install links) never reach the job
+ * store: they go to the credential vault as soon as a run scrapes them, and the
+ * job result carries a reference instead (see credentialVault.js).
+ *
+ * Expects env vars:
+ * - MAX_CONCURRENT_RUNS (optional; default 2)
+ */
+
+// Seal what a run scraped (client_id, client_secret, distribution_links) in the vault
+function vaultCredentials(job, appId, { client_id, client_secret, distribution_links = {} }, { app_name = null } = {}) {
+  if (!client_id && !client_secret && !Object.keys(distribution_links).length) return;
+
+  storeCredentials(
+    appId,
+    { client_id, client_secret, distribution_links },
+    { profile: job.input?.profile ?? null, app_name, run_id: job.id, source: job.type }
+  );
+}
+
+// The app-generator checkpoints the credentials once scraped; they go to the vault, not the job file
+function vaultingCheckpoint(job, onCheckpoint) {
+  return (patch) => {
+    const { client_id, client_secret, distribution_link, ...rest } = patch;
+    if (!client_id && !client_secret && !distribution_link) return onCheckpoint(rest);
+
+    const checkpoint = getJob(job.id)?.checkpoint || {};
+    vaultCredentials(
+      job,
+      checkpoint.app_id,
+      {
+        client_id,
+        client_secret,
+        distribution_links: distribution_link ? { [job.input.store_domain]: distribution_link } : {},
+      },
+      { app_name: checkpoint.app_name }
+    );
+    return onCheckpoint(rest);
+  };
+}
+
+// A run's result as stored on the job: the vault reference instead of the credentials it read
+function withCredentialsRef({ client_id, client_secret, distribution_link, ...result }) {
+  const links = result.links?.map(({ distribution_link: _link, ...l }) => l);
+  return { ...result, ...(links && { links }), credentials: credentialsRef(result.app_id) };
+}
+
+const handlers = {
+  "app-generator": async (job, hooks) => {
+    const onCheckpoint = vaultingCheckpoint(job, hooks.onCheckpoint);
+    return withCredentialsRef(await generateShopifyApp(job.input, { ...hooks, onCheckpoint, progress: job.checkpoint }));
+  },
+  "release-version": (job, hooks) => releaseAppVersion(job.input, hooks),
+  "distribution-links": async (job, hooks) => {
+    const vaultLinks = (links) =>
+      vaultCredentials(job, job.input.app_id, {
+        distribution_links: Object.fromEntries(links.filter((l) => l.ok).map((l) => [l.store_domain, l.distribution_link])),
+      });
+
+    let result;
+    try {
+      result = await generateDistributionLinks(job.input, hooks);
+    } catch (err) {
+      // Links issued before the run failed still work; they end up in the vault like the rest
+      if (err.partial?.links) {
+        vaultLinks(err.partial.links);
+        err.partial = withCredentialsRef(err.partial);
+      }
+      throw err;
+    }
+    vaultLinks(result.links);
+    return withCredentialsRef(result);
+  },
+  "scrape-credentials": async (job, hooks) => {
+    const result = await scrapeAppCredentials(job.input, hooks);
+    vaultCredentials(job, result.app_id, { client_id: result.client_id, client_secret: result.client_secret });
+    return withCredentialsRef(result);
+  },
+  // The new secret goes to the vault like any scraped one; GET /jobs/:id hands it out once
+  "rotate-secret": async (job, hooks) => {
+    const input = { ...job.input, previous_secret: storedSecret(job.input.app_id) };
+    const result = await rotateAppSecret(input, hooks);
+    vaultCredentials(job, result.app_id, { client_id: result.client_id, client_secret: result.client_secret });
+    return withCredentialsRef(result);
+  },
+  // The list itself is cached for GET /shopify/apps; the job result only says how much was read
+  "app-inventory": async (job, hooks) => {
+    const { apps, ...result } = await listDashboardApps({ ...job.input, max_pages: inventoryMaxPages() }, hooks);
+    saveInventory(result.profile, { ...result, apps });
+    return { ...result, app_count: apps.length, inventory_url: `/shopify/apps?profile=${encodeURIComponent(result.profile)}` };
+  },
+};
+
+const queue = [];
+const running = new Set();
+
+function now() {
+  return new Date().toISOString();
+}
+
+export function enqueueJob(id) {
+  queue.push(id);
+  // Defer so the caller (usually an HTTP handler) responds before the run starts
+  setImmediate(pump);
+}
+
+function maxConcurrentRuns() {
+  const n = Number(process.env.MAX_CONCURRENT_RUNS ?? 2);
+  return Number.isInteger(n) && n > 0 ? n : 2;
+}
+
+// Start queued jobs while there are free slots; each finished run frees its slot and pumps again.
+function pump() {
+  while (queue.length && running.size < maxConcurrentRuns()) {
+    const id = queue.shift();
+    running.add(id);
+    runJob(id)
+      .catch((err) => log.error(`job ${id} runner error:`, err))
+      .finally(() => {
+        running.delete(id);
+        pump();
+      });
+  }
+}
+
+// 1-based place in line of a queued job, or null when it is not waiting.
+export function queuePosition(id) {
+  const i = queue.indexOf(id);
+  return i === -1 ? null : i + 1;
+}
+
+export function runnerStatus() {
+  return { running: running.size, queued: queue.length, max_concurrent_runs: maxConcurrentRuns() };
+}
+
+// Close the audit trail of a job an API key started: which app it ended up creating or changing
+function auditFinished(id, outcome, fields = {}) {
+  const job = getJob(id);
+  if (!job?.requested_by) return;
+  audit(`job.${outcome}`, {
+    key: job.requested_by,
+    job_id: id,
+    type: job.type,
+    profile: job.input?.profile ?? null,
+    app_id: job.checkpoint?.app_id || job.input?.app_id || null,
+    ...fields,
+  });
+}
+
+async function runJob(id) {
+  const job = getJob(id);
+  if (!job || job.status !== JOB_STATUS.QUEUED) return;
+
+  const handler = handlers[job.type];
+  if (!handler) {
+    updateJob(id, {
+      status: JOB_STATUS.FAILED,
+      error: serializeError(new Error(`Unknown job type: ${job.type}`)),
+      finished_at: now(),
+    });
+    return;
+  }
+
+  updateJob(id, { status: JOB_STATUS.RUNNING, started_at: now() });
+
+  // Timings of earlier attempts (before a resume) stay next to this attempt's
+  const attempt = job.attempt || 1;
+  const earlierSteps = (job.steps || []).filter((s) => s.attempt !== attempt);
+  const stepTimings = (steps) => ({ steps: [...earlierSteps, ...steps.map((s) => ({ ...s, attempt }))] });
+
+  // The job id doubles as the run id: log lines are tagged with it and artifacts land in STORAGE_DIR/runs/<job id>
+  await runWithLogContext({ run_id: id, profile: job.input?.profile ?? null }, async () => {
+    log.info(`job started (${job.type})`, { attempt });
+    enterStep("setup");
+
+    const onStep = (step) => {
+      updateJob(id, { step, ...stepTimings(enterStep(step)) });
+    };
+
+    const onCheckpoint = (patch) => {
+      const current = getJob(id);
+      updateJob(id, { checkpoint: { ...current?.checkpoint, ...patch } });
+    };
+
+    try {
+      const result = await handler(job, { onStep, onCheckpoint, runId: id });
+      const timings = finishSteps();
+
+      log.info("job succeeded", { result_fields: Object.keys(result || {}) });
+
+      updateJob(id, { status: JOB_STATUS.SUCCEEDED, result, finished_at: now(), ...stepTimings(timings) });
+      recordRun({ type: job.type, outcome: "succeeded", steps: timings });
+      auditFinished(id, "succeeded");
+    } catch (err) {
+      const timings = finishSteps();
+      log.error("job failed:", err);
+      // The step the run had reported last is where it failed
+      const error = serializeError(withRunContext(err, { step: getJob(id)?.step }));
+      updateJob(id, { status: JOB_STATUS.FAILED, error, finished_at: now(), ...stepTimings(timings) });
+      recordRun({ type: job.type, outcome: "failed", code: error.code, steps: timings });
+      auditFinished(id, "failed", { code: error.code });
+    }
+  });
+}
+
+// Put a failed job back on the queue; the run skips every step its checkpoint marks done.
+export function resumeJob(id) {
+  const job = getJob(id);
+  if (!job) return null;
+  if (job.status !== JOB_STATUS.FAILED) {
+    throw new Error(`Only failed jobs can be resumed (job is ${job.status})`);
+  }
+
+  const next = updateJob(id, {
+    status: JOB_STATUS.QUEUED,
+    attempt: (job.attempt || 1) + 1,
+    error: null,
+    step: null,
+    started_at: null,
+    finished_at: null,
+  });
+
+  enqueueJob(id);
+  return next;
+}
+
+// Called once on boot: re-queue jobs that never started, fail the ones a restart cut off.
+export function recoverJobs() {
+  for (const job of listJobs()) {
+    if (job.status === JOB_STATUS.QUEUED) {
+      enqueueJob(job.id);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      recordRun({ type: job.type, outcome: "failed", code: "INTERRUPTED" });
+      updateJob(job.id, {
+        status: JOB_STATUS.FAILED,
+        error: serializeError(
+          shopifyError("INTERRUPTED", `Process restarted while the job was running (step: ${job.step || "unknown"})`, {
+            step: job.step,
+          })
+        ),
+        finished_at: now(),
+      });
+    }
+  }
+}
@@ -0,0 +1,114 @@
+// src/lib/jobStore.js
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { storagePath, writeJsonAtomic, readJson } from "./storage.js";
+
+/**
+ * File-backed job store: one JSON file per job under <STORAGE_DIR>/jobs,
+ * so callers can keep polling a job across process restarts.
+ *
+ * Job shape:
+ * - id, type, status (queued | running | succeeded | failed)
+ * - step: current step reported by the run (create, configure-version, ...)
+ * - checkpoint: progress persisted as steps complete (app_id, version_released, ...)
+ * - steps: { step, attempt, started_at, finished_at, duration_ms } for every step run so far
+ * - attempt: 1 for the first run, incremented on every resume
+ * - idempotency_key: client-supplied Idempotency-Key header, if any
+ * - requested_by: name of the API key that started the job (null when API auth is off)
+ * - input, result, error
+ * - created_at, updated_at, started_at, finished_at
+ */
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+const JOBS_DIR = storagePath("jobs");
+const ID_RE = /^[a-f0-9-]{36}$/i;
+
+function jobPath(id) {
+  return storagePath("jobs", `${id}.json`);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+export function createJob({ type, input, idempotency_key = null, requested_by = null }) {
+  const ts = now();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: JOB_STATUS.QUEUED,
+    step: null,
+    checkpoint: {},
+    steps: [],
+    attempt: 1,
+    idempotency_key,
+    requested_by,
+    input,
+    result: null,
+    error: null,
+    created_at: ts,
+    updated_at: ts,
+    started_at: null,
+    finished_at: null,
+  };
+  writeJsonAtomic(jobPath(job.id), job);
+  return job;
+}
+
+export function getJob(id) {
+  // ids end up in a file path, so never accept anything but a uuid
+  if (!ID_RE.test(String(id || ""))) return null;
+  return readJson(jobPath(id));
+}
+
+export function updateJob(id, patch) {
+  const job = getJob(id);
+  if (!job) throw new Error(`Job not found: ${id}`);
+
+  const next = { ...job, ...patch, updated_at: now() };
+  writeJsonAtomic(jobPath(id), next);
+  return next;
+}
+
+export function listJobs() {
+  let files = [];
+  try {
+    files = fs.readdirSync(JOBS_DIR).filter((f) => f.endsWith(".json"));
+  } catch {
+    return [];
+  }
+
+  return files
+    .map((f) => getJob(f.replace(/\.json$/, "")))
+    .filter(Boolean)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+export function findJobByIdempotencyKey(type, key) {
+  if (!key) return null;
+  return listJobs().find((j) => j.type === type && j.idempotency_key === key) || null;
+}
+
+// Queued or running job whose input matches every given field (e.g. brand_name + store_domain).
+export function findActiveJob(type, match) {
+  return (
+    listJobs().find(
+      (j) =>
+        j.type === type &&
+        (j.status === JOB_STATUS.QUEUED || j.status === JOB_STATUS.RUNNING) &&
+        Object.entries(match).every(([k, v]) => j.input?.[k] === v)
+    ) || null
+  );
+}
+
+// Most recent app-generator job that created (or reused) this appId.
+export function findJobByAppId(appId) {
+  const matches = listJobs().filter((j) => j.type === "app-generator" && j.checkpoint?.app_id === String(appId));
+  return matches[matches.length - 1] || null;
+}
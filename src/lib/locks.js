@@ -0,0 +1,34 @@
+// src/lib/locks.js
+
+/**
+ * In-process async locks, keyed by name. Runs execute side by side (see jobRunner.js);
+ * the few steps that must not overlap within one Shopify organization take a lock here.
+ *
+ * Waiters are served in arrival order. Only holds within this process: a second replica
+ * of the service would need its own coordination.
+ */
+
+// key -> tail of the chain of holders/waiters
+const tails = new Map();
+
+/**
+ * Run `fn` once every earlier holder of `key` is done. `fn` gets `{ waited }`, true when
+ * another holder ran first (so anything read before taking the lock may be stale).
+ */
+export async function withLock(key, fn) {
+  const previous = tails.get(key);
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = (previous || Promise.resolve()).then(() => current);
+  tails.set(key, tail);
+
+  try {
+    if (previous) await previous;
+    return await fn({ waited: !!previous });
+  } finally {
+    release();
+    if (tails.get(key) === tail) tails.delete(key);
+  }
+}
@@ -0,0 +1,118 @@
+// src/lib/logger.js
+import util from "node:util";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { redactText, redactValue } from "./redact.js";
+
+/**
+ * Logger for the service. Every line carries the run it belongs to (run id, profile, step),
+ * taken from the run context the job runner opens around each run (runWithLogContext), so
+ * lines from concurrent runs can be told apart without passing a logger around.
+ *
+ * Calls take console-style arguments; a trailing plain object becomes structured fields:
+ *   log.info("Released version id:", id, { source: "url" })
+ *
+ * Every line is scrubbed before it is written (see redact.js): tokens in the message, fields
+ * and error text are masked, whatever the caller passed.
+ *
+ * Step timings: enterStep(name) ends the current step and starts the next, logging
+ * "step start" / "step end" with its duration; finishSteps() returns them all.
+ *
+ * Expects env vars:
+ * - LOG_FORMAT (optional; json | pretty, default json when NODE_ENV=production, pretty otherwise)
+ * - LOG_LEVEL (optional; debug | info | warn | error, default info)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const runContext = new AsyncLocalStorage();
+
+function jsonOutput() {
+  const format = String(process.env.LOG_FORMAT || "").trim().toLowerCase();
+  if (format) return format === "json";
+  return process.env.NODE_ENV === "production";
+}
+
+function minLevel() {
+  return LEVELS[String(process.env.LOG_LEVEL || "").trim().toLowerCase()] || LEVELS.info;
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+}
+
+function errorFields(err) {
+  return { error: redactText(err.message), error_code: err.code, stack: redactText(err.stack) };
+}
+
+function write(level, args) {
+  if (LEVELS[level] < minLevel()) return;
+
+  let fields = {};
+  if (args.length && isPlainObject(args[args.length - 1])) fields = redactValue(args.pop());
+
+  const err = args.find((a) => a instanceof Error);
+  const msg = redactText(util.format(...args.map((a) => (a instanceof Error ? a.message : a))));
+
+  const ctx = runContext.getStore();
+  const tags = ctx ? { run_id: ctx.run_id, profile: ctx.profile, step: ctx.step } : {};
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (jsonOutput()) {
+    const line = { time: new Date().toISOString(), level, msg, ...tags, ...fields, ...(err ? errorFields(err) : {}) };
+    stream.write(`${JSON.stringify(line)}\n`);
+    return;
+  }
+
+  const tagText = ctx
+    ? ` [${[ctx.run_id?.slice(0, 8), ctx.profile, ctx.step].filter(Boolean).join(" ")}]`
+    : "";
+  const extra = Object.keys(fields).length ? ` ${util.inspect(fields, { depth: 4, breakLength: Infinity })}` : "";
+  stream.write(`${new Date().toISOString()} ${level.toUpperCase().padEnd(5)}${tagText} ${msg}${extra}\n`);
+  if (err && level === "error") stream.write(`${redactText(err.stack)}\n`);
+}
+
+export const log = {
+  debug: (...args) => write("debug", args),
+  info: (...args) => write("info", args),
+  warn: (...args) => write("warn", args),
+  error: (...args) => write("error", args),
+};
+
+// Run `fn` with every log line inside it (awaited work included) tagged with `fields`.
+export function runWithLogContext(fields, fn) {
+  return runContext.run({ run_id: null, profile: null, step: null, ...fields, steps: [], current: null }, fn);
+}
+
+function endCurrentStep(ctx) {
+  const cur = ctx.current;
+  if (!cur) return;
+  const finished = Date.now();
+  const timing = {
+    step: cur.step,
+    started_at: new Date(cur.started).toISOString(),
+    finished_at: new Date(finished).toISOString(),
+    duration_ms: finished - cur.started,
+  };
+  ctx.steps.push(timing);
+  ctx.current = null;
+  log.info("step end", { duration_ms: timing.duration_ms });
+}
+
+// End the current step (if any) and start timing `step`. Returns the timings so far.
+export function enterStep(step) {
+  const ctx = runContext.getStore();
+  if (!ctx) return [];
+  endCurrentStep(ctx);
+  ctx.step = step;
+  ctx.current = { step, started: Date.now() };
+  log.info("step start");
+  return ctx.steps;
+}
+
+// End the current step; every step's { step, started_at, finished_at, duration_ms }.
+export function finishSteps() {
+  const ctx = runContext.getStore();
+  if (!ctx) return [];
+  endCurrentStep(ctx);
+  return ctx.steps;
+}
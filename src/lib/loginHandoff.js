@@ -0,0 +1,293 @@
+// src/lib/loginHandoff.js
+import crypto from "node:crypto";
+import { WebSocketServer } from "ws";
+import { shopifyError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * Remote login/2FA handoff for headless deployments.
+ *
+ * When a run lands on Shopify Accounts it pauses here instead of failing: the page is
+ * streamed as a CDP screencast over a websocket, and the operator's mouse/keyboard input
+ * is forwarded back to it. Once the page leaves the login wall, the run continues.
+ *
+ * Flow:
+ * - the run calls awaitRemoteLogin(page, { reason, profile, until })
+ * - an operator lists open handoffs (GET /session/handoffs, admin token) and opens the
+ *   viewer URL it returns (/handoff/:id?token=...) in their own browser
+ * - the viewer connects to /handoff/:id/ws?token=... (see attachHandoffServer)
+ *
+ * Expects env vars:
+ * - LOGIN_HANDOFF_MINUTES (optional; how long a run waits for the operator, default 15, 0 disables)
+ * - SESSION_ADMIN_TOKEN (handoffs are only offered when set: it guards the list of viewer URLs)
+ */
+
+// id -> { id, token, reason, profile, page, cdp, viewers, created_at, expires_at }
+const handoffs = new Map();
+
+export function handoffEnabled() {
+  return !!process.env.SESSION_ADMIN_TOKEN && handoffMinutes() > 0;
+}
+
+function handoffMinutes() {
+  const n = Number(process.env.LOGIN_HANDOFF_MINUTES ?? 15);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function publicHandoff(h) {
+  return {
+    id: h.id,
+    reason: h.reason,
+    profile: h.profile,
+    url: h.page.url(),
+    viewers: h.viewers.size,
+    created_at: h.created_at,
+    expires_at: h.expires_at,
+    viewer_url: `/handoff/${h.id}?token=${h.token}`,
+  };
+}
+
+export function listHandoffs() {
+  return [...handoffs.values()].map(publicHandoff);
+}
+
+export function getHandoff(id, token) {
+  const h = handoffs.get(id);
+  if (!h || typeof token !== "string") return null;
+  const a = Buffer.from(token);
+  const b = Buffer.from(h.token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? h : null;
+}
+
+function broadcast(h, message) {
+  const data = JSON.stringify(message);
+  for (const ws of h.viewers) {
+    if (ws.readyState === ws.OPEN) ws.send(data);
+  }
+}
+
+async function startScreencast(h) {
+  if (h.cdp) return;
+  h.cdp = await h.page.context().newCDPSession(h.page);
+  h.cdp.on("Page.screencastFrame", ({ data, metadata, sessionId }) => {
+    broadcast(h, { type: "frame", data, width: metadata.deviceWidth, height: metadata.deviceHeight });
+    h.cdp?.send("Page.screencastFrameAck", { sessionId }).catch(() => {});
+  });
+  await h.cdp.send("Page.startScreencast", { format: "jpeg", quality: 70, everyNthFrame: 1 });
+}
+
+async function stopScreencast(h) {
+  const cdp = h.cdp;
+  h.cdp = null;
+  if (!cdp) return;
+  await cdp.send("Page.stopScreencast").catch(() => {});
+  await cdp.detach().catch(() => {});
+}
+
+// Viewer -> page input, mapped onto CDP Input.* commands
+async function forwardInput(h, msg) {
+  const cdp = h.cdp;
+  if (!cdp) return;
+
+  switch (msg.type) {
+    case "mouse":
+      await cdp.send("Input.dispatchMouseEvent", {
+        type: msg.event, // mousePressed | mouseReleased | mouseMoved
+        x: Number(msg.x) || 0,
+        y: Number(msg.y) || 0,
+        button: msg.button || "none",
+        clickCount: Number(msg.clickCount) || 0,
+        modifiers: Number(msg.modifiers) || 0,
+      });
+      break;
+    case "wheel":
+      await cdp.send("Input.dispatchMouseEvent", {
+        type: "mouseWheel",
+        x: Number(msg.x) || 0,
+        y: Number(msg.y) || 0,
+        deltaX: Number(msg.deltaX) || 0,
+        deltaY: Number(msg.deltaY) || 0,
+      });
+      break;
+    case "key": {
+      const key = String(msg.key || "");
+      // Only keyDown with `text` produces input; Enter needs "\r" to submit forms
+      const text = key === "Enter" ? "\r" : key.length === 1 ? key : undefined;
+      await cdp.send("Input.dispatchKeyEvent", {
+        type: msg.event, // keyDown | keyUp
+        key,
+        code: msg.code,
+        text: msg.event === "keyDown" ? text : undefined,
+        windowsVirtualKeyCode: Number(msg.keyCode) || 0,
+        modifiers: Number(msg.modifiers) || 0,
+      });
+      break;
+    }
+    case "text":
+      await cdp.send("Input.insertText", { text: String(msg.text || "") });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Pause the run on a login wall until `until(url)` holds for the page, the operator having
+ * logged in remotely. Throws when nobody finished it within LOGIN_HANDOFF_MINUTES.
+ */
+export async function awaitRemoteLogin(page, { reason, profile = null, until }) {
+  const ms = handoffMinutes() * 60_000;
+  const h = {
+    id: crypto.randomUUID(),
+    token: crypto.randomBytes(24).toString("hex"),
+    reason,
+    profile,
+    page,
+    cdp: null,
+    viewers: new Set(),
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + ms).toISOString(),
+  };
+  handoffs.set(h.id, h);
+  log.info(`LOGIN HANDOFF ${h.id} open for ${reason}${profile ? ` (${profile})` : ""} (${handoffMinutes()} min). Viewer URL: GET /session/handoffs`);
+
+  try {
+    const deadline = Date.now() + ms;
+    while (Date.now() < deadline) {
+      if (until(page.url())) {
+        log.info(`LOGIN HANDOFF ${h.id} complete:`, page.url());
+        broadcast(h, { type: "done", url: page.url() });
+        return;
+      }
+      await page.waitForTimeout(1000);
+    }
+
+    throw shopifyError("SESSION_EXPIRED", `Login handoff for ${reason} timed out after ${handoffMinutes()} min. URL: ${page.url()}`, {
+      url: page.url(),
+    });
+  } finally {
+    handoffs.delete(h.id);
+    await stopScreencast(h);
+    for (const ws of h.viewers) ws.close();
+  }
+}
+
+// Websocket endpoint for viewers: /handoff/:id/ws?token=...
+export function attachHandoffServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    const m = url.pathname.match(/^\/handoff\/([\w-]+)\/ws$/);
+    if (!m) return;
+
+    const h = getHandoff(m[1], url.searchParams.get("token"));
+    if (!h) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      h.viewers.add(ws);
+      log.info(`LOGIN HANDOFF ${h.id} viewer connected (${h.viewers.size})`);
+      startScreencast(h).catch((err) => log.warn("Screencast failed:", err?.message || err));
+
+      ws.on("message", (raw) => {
+        let msg;
+        try {
+          msg = JSON.parse(String(raw));
+        } catch {
+          return;
+        }
+        forwardInput(h, msg).catch(() => {});
+      });
+
+      ws.on("close", () => {
+        h.viewers.delete(ws);
+        if (!h.viewers.size) stopScreencast(h);
+      });
+    });
+  });
+}
+
+// Minimal viewer: screencast in an <img>, input forwarded over the same websocket
+export function viewerHtml(h) {
+  const wsPath = `/handoff/${h.id}/ws?token=${h.token}`;
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Shopify login handoff</title>
+<style>
+body { font-family: sans-serif; margin: 16px; }
+#screen { border: 1px solid #999; max-width: 100%; cursor: default; outline: none; }
+#status { margin: 8px 0; }
+</style>
+</head>
+<body>
+<div id="status">Connecting…</div>
+<p>Log in (including 2FA) in the view below. The run continues by itself once Shopify lets it through.</p>
+<p><input id="paste" placeholder="Text to type (e.g. a 2FA code)"> <button id="send">Type it</button></p>
+<img id="screen" tabindex="0" alt="">
+<script>
+const status = document.getElementById("status");
+const img = document.getElementById("screen");
+const proto = location.protocol === "https:" ? "wss:" : "ws:";
+const ws = new WebSocket(proto + "//" + location.host + ${JSON.stringify(wsPath)});
+let size = { width: 1, height: 1 };
+const send = (m) => ws.readyState === 1 && ws.send(JSON.stringify(m));
+const point = (e) => ({
+  x: (e.offsetX * size.width) / img.clientWidth,
+  y: (e.offsetY * size.height) / img.clientHeight,
+});
+const mods = (e) => (e.altKey ? 1 : 0) | (e.ctrlKey ? 2 : 0) | (e.metaKey ? 4 : 0) | (e.shiftKey ? 8 : 0);
+const buttons = ["left", "middle", "right"];
+
+ws.onopen = () => (status.textContent = "Connected");
+ws.onclose = () => (status.textContent = "Disconnected");
+ws.onmessage = (ev) => {
+  const m = JSON.parse(ev.data);
+  if (m.type === "frame") {
+    size = { width: m.width, height: m.height };
+    img.src = "data:image/jpeg;base64," + m.data;
+  } else if (m.type === "done") {
+    status.textContent = "Login complete, the run is continuing. You can close this tab.";
+  }
+};
+
+img.addEventListener("mousedown", (e) => {
+  e.preventDefault();
+  img.focus();
+  send({ type: "mouse", event: "mousePressed", ...point(e), button: buttons[e.button], clickCount: 1, modifiers: mods(e) });
+});
+img.addEventListener("mouseup", (e) => {
+  send({ type: "mouse", event: "mouseReleased", ...point(e), button: buttons[e.button], clickCount: 1, modifiers: mods(e) });
+});
+let lastMove = 0;
+img.addEventListener("mousemove", (e) => {
+  if (Date.now() - lastMove < 50) return;
+  lastMove = Date.now();
+  send({ type: "mouse", event: "mouseMoved", ...point(e) });
+});
+img.addEventListener("wheel", (e) => {
+  e.preventDefault();
+  send({ type: "wheel", ...point(e), deltaX: e.deltaX, deltaY: e.deltaY });
+});
+img.addEventListener("contextmenu", (e) => e.preventDefault());
+for (const [dom, event] of [["keydown", "keyDown"], ["keyup", "keyUp"]]) {
+  img.addEventListener(dom, (e) => {
+    e.preventDefault();
+    send({ type: "key", event, key: e.key, code: e.code, keyCode: e.keyCode, modifiers: mods(e) });
+  });
+}
+document.getElementById("send").addEventListener("click", () => {
+  const input = document.getElementById("paste");
+  send({ type: "text", text: input.value });
+  input.value = "";
+  img.focus();
+});
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,99 @@
+// src/lib/metrics.js
+import { log } from "./logger.js";
+
+/**
+ * In-process metrics in the Prometheus text format (GET /metrics). Counters and histograms
+ * are recorded by the job runner as runs finish; gauges (queue, browser, session) are read
+ * at scrape time through the collectors the server registers. Everything resets on restart.
+ */
+
+// Step durations run from seconds (clicks) to the better part of an hour (login handoff)
+const STEP_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+// "name{labels}" -> value
+const counters = new Map();
+// "step" -> { buckets: number[], sum, count }
+const stepDurations = new Map();
+// () => [{ name, help, type, samples: [{ labels, value }] }]
+const collectors = [];
+
+const HELP = {
+  shopify_runs_total: "Finished runs by job type and outcome",
+  shopify_run_errors_total: "Failed runs by job type and error code",
+};
+
+function labelText(labels = {}) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (!entries.length) return "";
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([k, v]) => `${k}="${esc(v)}"`).join(",")}}`;
+}
+
+function inc(name, labels) {
+  const key = `${name}${labelText(labels)}`;
+  counters.set(key, (counters.get(key) || 0) + 1);
+}
+
+// One finished run: outcome is "succeeded" or "failed"; code is the error code of a failure.
+export function recordRun({ type, outcome, code = null, steps = [] }) {
+  inc("shopify_runs_total", { type, outcome });
+  if (code) inc("shopify_run_errors_total", { type, code });
+
+  for (const { step, duration_ms } of steps) {
+    const seconds = duration_ms / 1000;
+    const h = stepDurations.get(step) || { buckets: STEP_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    STEP_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) h.buckets[i] += 1;
+    });
+    h.sum += seconds;
+    h.count += 1;
+    stepDurations.set(step, h);
+  }
+}
+
+// Gauges read at scrape time; `collect()` returns metric families (see `collectors` above).
+export function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+function familyText({ name, help, type, samples }) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels, value } of samples) {
+    if (Number.isFinite(value)) lines.push(`${name}${labelText(labels)} ${value}`);
+  }
+  return lines.join("\n");
+}
+
+export function renderMetrics() {
+  const out = [];
+
+  for (const name of Object.keys(HELP)) {
+    out.push(`# HELP ${name} ${HELP[name]}`, `# TYPE ${name} counter`);
+    for (const [key, value] of counters) {
+      if (key === name || key.startsWith(`${name}{`)) out.push(`${key} ${value}`);
+    }
+  }
+
+  out.push(
+    "# HELP shopify_step_duration_seconds Duration of each run step",
+    "# TYPE shopify_step_duration_seconds histogram"
+  );
+  for (const [step, h] of stepDurations) {
+    STEP_BUCKETS.forEach((le, i) => {
+      out.push(`shopify_step_duration_seconds_bucket${labelText({ step, le })} ${h.buckets[i]}`);
+    });
+    out.push(`shopify_step_duration_seconds_bucket${labelText({ step, le: "+Inf" })} ${h.count}`);
+    out.push(`shopify_step_duration_seconds_sum${labelText({ step })} ${h.sum}`);
+    out.push(`shopify_step_duration_seconds_count${labelText({ step })} ${h.count}`);
+  }
+
+  for (const collect of collectors) {
+    try {
+      for (const family of collect()) out.push(familyText(family));
+    } catch (err) {
+      log.warn("Metrics collector failed:", err);
+    }
+  }
+
+  return `${out.join("\n")}\n`;
+}
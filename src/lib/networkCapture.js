@@ -0,0 +1,116 @@
+// src/lib/networkCapture.js
+import { isShopifyHost } from "./shopifyUrls.js";
+import { log } from "./logger.js";
+
+/**
+ * Reads app credentials and install links from the dashboard's own API / GraphQL
+ * responses via Playwright response interception.
+ *
+ * The DOM (copy buttons, inputs) is only a fallback: Shopify reorders copy buttons
+ * without notice, but the JSON payloads behind the page keep naming the fields.
+ *
+ * Usage:
+ *   const capture = captureNetworkValues(page);   // attach BEFORE navigating
+ *   await page.goto(settingsUrl);
+ *   const { client_id, client_secret } = await capture.waitFor(["client_id", "client_secret"]);
+ *   capture.dispose();
+ *
+ * Pass `ignore` to skip known values, e.g. the secret a rotation replaces (the page may still
+ * list it next to the new one during its grace period).
+ */
+
+const CLIENT_ID_KEYS = new Set(["clientid", "client_id", "apikey", "api_key"]);
+const CLIENT_SECRET_KEYS = new Set(["clientsecret", "client_secret", "apisecretkey", "api_secret_key"]);
+
+const SECRET_RE = /^shpss_[a-z0-9]+$/i;
+const CLIENT_ID_RE = /^[a-f0-9]{32}$/i;
+
+function isInstallLink(v) {
+  return v.includes("admin.shopify.com") && (v.includes("/oauth/") || v.includes("install_custom_app"));
+}
+
+function walk(node, visit, key = "", depth = 0) {
+  if (depth > 25 || node === null || node === undefined) return;
+
+  if (typeof node === "string") {
+    visit(key, node);
+    return;
+  }
+
+  if (Array.isArray(node)) {
+    for (const item of node) walk(item, visit, key, depth + 1);
+    return;
+  }
+
+  if (typeof node === "object") {
+    for (const [k, v] of Object.entries(node)) walk(v, visit, k, depth + 1);
+  }
+}
+
+function shouldInspect(response) {
+  const type = response.headers()["content-type"] || "";
+  if (!/json|graphql/i.test(type)) return false;
+
+  return isShopifyHost(response.url());
+}
+
+export function captureNetworkValues(page, { ignore = [] } = {}) {
+  // value + the response URL it came from
+  const found = { client_id: null, client_secret: null, install_link: null };
+
+  const record = (name, value, url) => {
+    if (found[name] || ignore.includes(value)) return;
+    found[name] = { value, url };
+    log.info(`NETWORK captured ${name} (length ${value.length}) from ${new URL(url).pathname}`);
+  };
+
+  const onResponse = async (response) => {
+    if (!shouldInspect(response)) return;
+
+    let body;
+    try {
+      body = await response.json();
+    } catch {
+      return;
+    }
+
+    const url = response.url();
+    walk(body, (key, raw) => {
+      const value = raw.trim();
+      const k = key.toLowerCase();
+
+      if (SECRET_RE.test(value)) record("client_secret", value, url);
+      else if (CLIENT_SECRET_KEYS.has(k) && value.length >= 32) record("client_secret", value, url);
+
+      if (CLIENT_ID_KEYS.has(k) && CLIENT_ID_RE.test(value)) record("client_id", value, url);
+
+      if (isInstallLink(value)) record("install_link", value, url);
+    });
+  };
+
+  page.on("response", onResponse);
+
+  return {
+    get(name) {
+      return found[name]?.value || "";
+    },
+
+    // Forget a value, e.g. install links listed on page load before we generate a new one
+    clear(name) {
+      found[name] = null;
+    },
+
+    // Resolve once every requested value was seen (or on timeout, with whatever was seen).
+    async waitFor(names, timeout = 5_000) {
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline && !names.every((n) => found[n])) {
+        await new Promise((r) => setTimeout(r, 200));
+      }
+      return Object.fromEntries(names.map((n) => [n, found[n]?.value || ""]));
+    },
+
+    dispose() {
+      page.off("response", onResponse);
+    },
+  };
+}
@@ -0,0 +1,136 @@
+// src/lib/profiles.js
+import fs from "node:fs";
+
+/**
+ * Named organization profiles: which Dev Dashboard and Partners organization a run drives,
+ * the session it logs in with and the app defaults it starts from.
+ *
+ * Profiles (PROFILES_PATH file or PROFILES_JSON inline; re-read on every call):
+ * {
+ *   "default": "main",                       (optional; profile used when a request names none)
+ *   "profiles": {
+ *     "main": {
+ *       "dashboard_url": "https://dev.shopify.com/dashboard/123/apps",
+ *       "partners_id": "456",
+ *       "storage_state_env": "SHOPIFY_STORAGE_STATE_JSON_MAIN",  (optional; env var holding its deploy-time session)
+ *       "app_spec": { ... },                  (optional; app defaults, see appConfig.js)
+ *       "app_name_template": "{brand_name} x Retention"  (optional)
+ *     }
+ *   }
+ * }
+ *
+ * Unless the file defines a profile named "default", one is built from the single-tenant
+ * env vars (SHOPIFY_DEV_DASHBOARD_URL, SHOPIFY_PARTNERS_ID, SHOPIFY_STORAGE_STATE_JSON), so
+ * existing deployments keep working unchanged.
+ */
+
+export const DEFAULT_PROFILE = "default";
+
+// Kept for single-tenant deployments that never set SHOPIFY_PARTNERS_ID
+const LEGACY_PARTNERS_ID = "2767396";
+
+// Configuration problems and unknown names; the server answers these with 400.
+function profileError(message) {
+  const err = new Error(message);
+  err.name = "ProfileError";
+  return err;
+}
+
+function readProfilesConfig() {
+  if (process.env.PROFILES_PATH) {
+    try {
+      return JSON.parse(fs.readFileSync(process.env.PROFILES_PATH, "utf8"));
+    } catch (err) {
+      throw profileError(`Invalid PROFILES_PATH file: ${err.message}`);
+    }
+  }
+
+  const json = process.env.PROFILES_JSON?.trim();
+  if (json) {
+    try {
+      return JSON.parse(json);
+    } catch {
+      throw profileError("Invalid PROFILES_JSON (must be valid JSON)");
+    }
+  }
+
+  return { profiles: {} };
+}
+
+function envProfile() {
+  if (!process.env.SHOPIFY_DEV_DASHBOARD_URL) return null;
+  return {
+    dashboard_url: process.env.SHOPIFY_DEV_DASHBOARD_URL,
+    partners_id: process.env.SHOPIFY_PARTNERS_ID || LEGACY_PARTNERS_ID,
+    storage_state_env: "SHOPIFY_STORAGE_STATE_JSON",
+  };
+}
+
+function dashboardIdFromUrl(dashboardUrl) {
+  const m = String(dashboardUrl || "").match(/\/dashboard\/(\d+)\b/);
+  return m ? m[1] : null;
+}
+
+function normalizeProfile(name, raw) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw profileError(`Invalid profile name "${name}" (letters, digits, - or _)`);
+  if (!raw || typeof raw !== "object") throw profileError(`Profile "${name}" must be an object`);
+
+  const dashboard_url = String(raw.dashboard_url || "").trim();
+  const dashboard_id = dashboardIdFromUrl(dashboard_url);
+  if (!dashboard_id) throw profileError(`Profile "${name}": dashboard_url must contain /dashboard/<id>`);
+
+  const partners_id = String(raw.partners_id ?? "").trim();
+  if (!/^\d+$/.test(partners_id)) throw profileError(`Profile "${name}": partners_id must be numeric`);
+
+  const app_spec = raw.app_spec ?? {};
+  if (typeof app_spec !== "object" || Array.isArray(app_spec)) {
+    throw profileError(`Profile "${name}": app_spec must be an object`);
+  }
+
+  return {
+    name,
+    dashboard_url,
+    dashboard_id,
+    partners_id,
+    storage_state_env: raw.storage_state_env || null,
+    app_spec: raw.app_name_template ? { ...app_spec, app_name_template: raw.app_name_template } : app_spec,
+  };
+}
+
+// All profiles, validated: { default, profiles: { name: profile } }
+export function loadProfiles() {
+  const config = readProfilesConfig();
+  const raw = { ...(config.profiles || {}) };
+  if (!raw[DEFAULT_PROFILE]) {
+    const fromEnv = envProfile();
+    if (fromEnv) raw[DEFAULT_PROFILE] = fromEnv;
+  }
+
+  const profiles = Object.fromEntries(Object.entries(raw).map(([name, p]) => [name, normalizeProfile(name, p)]));
+  if (!Object.keys(profiles).length) {
+    throw profileError("No profiles configured: set SHOPIFY_DEV_DASHBOARD_URL or PROFILES_PATH / PROFILES_JSON");
+  }
+
+  const defaultName = config.default || DEFAULT_PROFILE;
+  if (!profiles[defaultName] && config.default) {
+    throw profileError(`Default profile "${config.default}" is not defined`);
+  }
+
+  return { default: profiles[defaultName] ? defaultName : null, profiles };
+}
+
+// The named profile (or the default one). Throws a ProfileError for unknown names.
+export function resolveProfile(name) {
+  const { default: defaultName, profiles } = loadProfiles();
+  const wanted = name || defaultName;
+  if (!wanted) throw profileError(`No default profile: pass one of ${Object.keys(profiles).join(", ")}`);
+
+  const profile = profiles[wanted];
+  if (!profile) throw profileError(`Unknown profile "${wanted}" (known: ${Object.keys(profiles).join(", ")})`);
+  return profile;
+}
+
+// Names and IDs only (no session material), for listings.
+export function publicProfile(profile) {
+  return { name: profile.name, dashboard_id: profile.dashboard_id, partners_id: profile.partners_id };
+}
@@ -0,0 +1,117 @@
+// src/lib/readiness.js
+import { newIsolatedContext } from "./browser.js";
+import { probeSession, sessionStatus } from "./shopifySession.js";
+import { loadProfiles } from "./profiles.js";
+
+/**
+ * Deep readiness (GET /ready): can this instance actually run a job right now?
+ *
+ * - browser: opens (and closes) a context in the shared Chromium
+ * - session, per profile: a stored session exists and the last probe (see shopifySession.js)
+ *   got past Shopify Accounts; a probe older than READY_PROBE_MAX_AGE_MINUTES is re-run
+ *
+ * /health stays the cheap liveness check; point the platform's health check at /ready to
+ * stop routing to an instance whose session died.
+ *
+ * Expects env vars:
+ * - READY_PROBE_MAX_AGE_MINUTES (optional; default 30)
+ * - READY_CACHE_SECONDS (optional; how long a result is reused, default 30)
+ */
+
+const PROBE_WAIT_MS = 90_000;
+
+let cached = null; // { result, at }
+let inFlight = null;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+async function checkBrowser() {
+  const started = Date.now();
+  let context;
+  try {
+    context = await newIsolatedContext();
+    const page = await context.newPage();
+    await page.goto("about:blank");
+    return { ok: true, duration_ms: Date.now() - started };
+  } catch (err) {
+    return { ok: false, duration_ms: Date.now() - started, error: err?.message || String(err) };
+  } finally {
+    await context?.close().catch(() => {});
+  }
+}
+
+async function freshProbe(profile) {
+  const last = sessionStatus(profile).last_probe;
+  const maxAgeMs = envNumber("READY_PROBE_MAX_AGE_MINUTES", 30) * 60_000;
+  if (last && Date.now() - Date.parse(last.checked_at) <= maxAgeMs) return last;
+
+  // A probe visits Shopify and can take a while; don't hold the readiness check forever
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ ok: false, error: "Session probe still running" }), PROBE_WAIT_MS);
+  });
+  try {
+    return await Promise.race([probeSession(profile), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkSession(profile) {
+  const status = sessionStatus(profile);
+  if (!status.present) {
+    return { profile: profile.name, ok: false, error: status.error || "No stored session" };
+  }
+
+  const probe = await freshProbe(profile);
+  return {
+    profile: profile.name,
+    ok: !!probe.ok,
+    source: status.source,
+    checked_at: probe.checked_at || null,
+    error: probe.ok ? undefined : probe.error || "Redirected to Shopify Accounts (login needed)",
+  };
+}
+
+async function runChecks() {
+  const browser = await checkBrowser();
+
+  let sessions;
+  try {
+    // One at a time: each probe drives its own context
+    sessions = [];
+    for (const profile of Object.values(loadProfiles().profiles)) {
+      sessions.push(await checkSession(profile));
+    }
+  } catch (err) {
+    sessions = [{ ok: false, error: err.message }];
+  }
+
+  return {
+    ok: browser.ok && sessions.every((s) => s.ok),
+    checked_at: new Date().toISOString(),
+    browser,
+    sessions,
+  };
+}
+
+// Cached for READY_CACHE_SECONDS; concurrent callers share one check.
+export async function checkReadiness() {
+  const cacheMs = envNumber("READY_CACHE_SECONDS", 30) * 1000;
+  if (cached && Date.now() - cached.at < cacheMs) return cached.result;
+
+  if (!inFlight) {
+    inFlight = runChecks()
+      .then((result) => {
+        cached = { result, at: Date.now() };
+        return result;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+  return inFlight;
+}
@@ -0,0 +1,51 @@
+// src/lib/redact.js
+/**
+ * Keeps credentials out of everything a run writes besides the vault: log lines, screenshots,
+ * page dumps, error.json and traces.
+ *
+ * - text: Shopify tokens (shpss_, shpat_, shpca_, shppa_), bearer tokens, Cookie headers and any
+ *   other long opaque token (32+ letters/digits, e.g. a client ID) are masked; UUIDs (job and
+ *   run ids) are left alone
+ * - objects: the same, plus every value under a key naming a secret (client_secret, token,
+ *   password, cookies, storage_state, ...)
+ *
+ * Screenshots and traces are handled in runArtifacts.js (masked fields, paused recording).
+ */
+
+export const REDACTED = "[REDACTED]";
+
+const SHOPIFY_TOKEN = /\b(shp(?:ss|at|ca|pa|ua))_[A-Za-z0-9]+/g;
+const BEARER = /\b(Bearer\s+)[^\s"',;]+/gi;
+const COOKIE_HEADER = /\b((?:set-)?cookie["']?\s*:\s*["']?)[^\n"'<]+/gi;
+const LONG_TOKEN = /[A-Za-z0-9_-]{32,}/g;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SECRET_KEY = /(secret|token|password|cookies?|authorization|storage_?state)$/i;
+
+// A run of letters/digits only counts as a token when it mixes both (not a long word or path segment)
+function looksLikeToken(s) {
+  return /\d/.test(s) && /[a-z]/i.test(s) && !UUID.test(s);
+}
+
+export function redactText(value) {
+  if (typeof value !== "string" || !value) return value;
+  return value
+    .replace(SHOPIFY_TOKEN, `$1_${REDACTED}`)
+    .replace(BEARER, `$1${REDACTED}`)
+    .replace(COOKIE_HEADER, `$1${REDACTED}`)
+    .replace(LONG_TOKEN, (m) => (looksLikeToken(m) ? `${m.slice(0, 4)}…${REDACTED}` : m));
+}
+
+// Deep copy of `value` with every string redacted and secret-named keys blanked
+export function redactValue(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (!value || typeof value !== "object" || depth > 10) return value;
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [
+      k,
+      SECRET_KEY.test(k) && v !== null && typeof v !== "boolean" ? REDACTED : redactValue(v, depth + 1),
+    ])
+  );
+}
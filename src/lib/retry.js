@@ -0,0 +1,105 @@
+// src/lib/retry.js
+import { log } from "./logger.js";
+
+/**
+ * Per-step retry policy for the browser flow. Most failures are flaky Polaris renders that
+ * pass on a second try, often after a reload.
+ *
+ * Only errors marked retryable (see errors.js) and Playwright timeouts are retried. Steps
+ * that are not idempotent (e.g. "create" without the apps-list lookup in front) run once.
+ *
+ * Policy (RETRY_POLICY_JSON, optional; per step, "default" applies to every step):
+ * {
+ *   "default": { "attempts": 2, "backoff_ms": 1000, "backoff_factor": 2, "reload": true },
+ *   "distribution": { "attempts": 3 }
+ * }
+ * - attempts        total tries, including the first
+ * - backoff_ms      wait before the second try; multiplied by backoff_factor for each further one
+ * - reload          reload the page before retrying (steps that open a fresh page or form on
+ *                   every try ignore it)
+ */
+
+const DEFAULT_POLICY = { attempts: 2, backoff_ms: 1000, backoff_factor: 2, reload: true };
+
+const STEP_DEFAULTS = {
+  create: { attempts: 2 },
+  "configure-version": { attempts: 3 },
+  verify: { attempts: 3, backoff_ms: 3000 },
+  "scrape-credentials": { attempts: 3 },
+  "verify-secret": { attempts: 3, backoff_ms: 2000 },
+  distribution: { attempts: 3, backoff_ms: 2000 },
+};
+
+function readPolicyOverrides() {
+  const json = process.env.RETRY_POLICY_JSON?.trim();
+  if (!json) return {};
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    log.warn("Ignoring invalid RETRY_POLICY_JSON (must be valid JSON)");
+    return {};
+  }
+}
+
+// Effective policy for a step: built-in default < step default < env default < env step
+export function retryPolicy(step) {
+  const overrides = readPolicyOverrides();
+  const policy = { ...DEFAULT_POLICY, ...STEP_DEFAULTS[step], ...overrides.default, ...overrides[step] };
+  return {
+    attempts: Math.max(1, Math.floor(Number(policy.attempts)) || 1),
+    backoff_ms: Math.max(0, Number(policy.backoff_ms) || 0),
+    backoff_factor: Math.max(1, Number(policy.backoff_factor) || 1),
+    reload: policy.reload !== false,
+  };
+}
+
+function isRetryable(err) {
+  return err?.retryable === true || err?.name === "TimeoutError";
+}
+
+/**
+ * Run `fn({ attempt })` under the step's policy and log every attempt into `history`
+ * ({ step, attempt, ok, duration_ms, code?, error? }).
+ *
+ * Options:
+ * - page        reloaded before a retry when the policy says so
+ * - reloadUrl   where that reload goes (default: the page's current URL)
+ * - idempotent  false runs the step exactly once, whatever the policy
+ * - history     array the attempts are appended to (the run result reports it)
+ */
+export async function withRetry(step, fn, { page = null, reloadUrl = null, idempotent = true, history = [] } = {}) {
+  const policy = retryPolicy(step);
+  const attempts = idempotent ? policy.attempts : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    const started = Date.now();
+    try {
+      const result = await fn({ attempt });
+      history.push({ step, attempt, ok: true, duration_ms: Date.now() - started });
+      return result;
+    } catch (err) {
+      history.push({
+        step,
+        attempt,
+        ok: false,
+        duration_ms: Date.now() - started,
+        code: err?.code || err?.name || null,
+        error: err?.message || String(err),
+      });
+
+      if (attempt >= attempts || !isRetryable(err)) throw err;
+
+      const wait = Math.round(policy.backoff_ms * policy.backoff_factor ** (attempt - 1));
+      log.info(`RETRY ${step} (attempt ${attempt + 1}/${attempts}) in ${wait}ms after:`, err?.message || err);
+      await new Promise((r) => setTimeout(r, wait));
+
+      if (page && policy.reload) {
+        const reload = reloadUrl
+          ? page.goto(reloadUrl, { waitUntil: "domcontentloaded" })
+          : page.reload({ waitUntil: "domcontentloaded" });
+        await reload.catch(() => {});
+      }
+    }
+  }
+}
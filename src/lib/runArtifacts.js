@@ -0,0 +1,267 @@
+// src/lib/runArtifacts.js
+import fs from "node:fs";
+import path from "node:path";
+import { storagePath } from "./storage.js";
+import { JOB_STATUS, getJob } from "./jobStore.js";
+import { serializeError } from "./errors.js";
+import { selectorLocators } from "./selectors.js";
+import { redactText, redactValue } from "./redact.js";
+import { log } from "./logger.js";
+
+/**
+ * Per-run debugging artifacts: STORAGE_DIR/runs/<run id>/ (the run id is the job id).
+ *
+ * - screenshots taken along the way (ENABLE_SCREENSHOTS=1), numbered in the order taken
+ * - on failure: a screenshot and the HTML of every open page, plus error.json
+ * - a Playwright trace (open with `npx playwright show-trace <file>`), kept per RUN_TRACE
+ *
+ * A resumed job writes into the same directory; numbering carries on from the files already there.
+ *
+ * Nothing here may carry a credential:
+ * - screenshots paint over the client ID/secret fields and copy buttons (SCREENSHOT_MASKS)
+ * - HTML dumps and error.json are passed through redact.js
+ * - the trace records actions and screencast frames only: no DOM snapshots or network log,
+ *   which would hold the session cookies; the login session (storageState) is never written here
+ * - pages showing credentials run inside withTracingPaused, so they are not in the trace at all;
+ *   the part recorded before a pause is saved as its own trace file
+ *
+ * Expects env vars:
+ * - ENABLE_SCREENSHOTS (optional; 1/true/yes/on for step screenshots; failure ones are always taken)
+ * - RUN_TRACE (optional; off | on-failure | always, default on-failure)
+ * - RUN_ARTIFACTS_RETENTION_DAYS (optional; delete runs older than this, default 14, 0 keeps them)
+ * - RUN_ARTIFACTS_MAX_RUNS (optional; keep at most this many runs, newest first, default 200, 0 = no cap)
+ * - RUN_ARTIFACTS_PRUNE_MINUTES (optional; how often old runs are pruned, default 60, 0 = only at boot)
+ *
+ * Pruning runs at boot and then on a timer, never in a run's teardown; runs whose job is still
+ * queued or running are left alone.
+ */
+
+// context -> { id, dir, seq, tracing, paused, traceFiles }
+const bound = new WeakMap();
+
+let pruneTimer = null;
+
+// Painted over in every screenshot: the registry's credential targets (every strategy) and secret-looking inputs
+const SCREENSHOT_MASKS = {
+  targets: ["settings.clientId", "settings.clientSecret", "settings.copyButtons"],
+  selectors: ['input[type="password"]', '[id*="secret" i]', '[name*="secret" i]', '[id*="token" i]', '[name*="token" i]'],
+};
+
+const RUN_ID = /^[\w-]+$/;
+
+export function runDir(id) {
+  return storagePath("runs", id);
+}
+
+export function screenshotsEnabled() {
+  const v = String(process.env.ENABLE_SCREENSHOTS || "").trim().toLowerCase();
+  return v === "1" || v === "true" || v === "yes" || v === "on";
+}
+
+function traceMode() {
+  const v = String(process.env.RUN_TRACE || "on-failure").trim().toLowerCase();
+  return ["off", "on-failure", "always"].includes(v) ? v : "on-failure";
+}
+
+function nonNegative(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function nextFile(run, name) {
+  run.seq += 1;
+  return path.join(run.dir, `${String(run.seq).padStart(3, "0")}-${name}`);
+}
+
+// Give the run's browser context its artifact directory (and start the trace).
+export async function bindRunArtifacts(context, runId) {
+  if (!RUN_ID.test(String(runId))) throw new Error(`Invalid run id: ${runId}`);
+
+  const dir = runDir(runId);
+  fs.mkdirSync(dir, { recursive: true });
+  const run = { id: runId, dir, seq: fs.readdirSync(dir).length, tracing: false, paused: false, traceFiles: [] };
+  bound.set(context, run);
+
+  if (traceMode() !== "off") {
+    try {
+      await context.tracing.start({ screenshots: true, snapshots: false });
+      run.tracing = true;
+    } catch (err) {
+      log.warn("Trace start failed:", err?.message || err);
+    }
+  }
+  return run;
+}
+
+function screenshotMasks(page) {
+  return [
+    ...SCREENSHOT_MASKS.targets.flatMap((name) => selectorLocators(page, name)),
+    ...SCREENSHOT_MASKS.selectors.map((selector) => page.locator(selector)),
+  ];
+}
+
+// Step screenshot into the run's directory. Never throws; a no-op unless ENABLE_SCREENSHOTS is on.
+export async function saveScreenshot(page, name, { force = false } = {}) {
+  if (!force && !screenshotsEnabled()) return;
+
+  const run = bound.get(page.context());
+  if (!run) return;
+
+  try {
+    const file = nextFile(run, path.basename(name));
+    await page.screenshot({ path: file, fullPage: true, mask: screenshotMasks(page), maskColor: "#000" });
+    log.info("Saved screenshot:", file);
+  } catch (err) {
+    log.warn("Screenshot failed:", err?.message || err);
+  }
+}
+
+/**
+ * Run `fn` with the trace paused, for pages that show credentials. The part recorded so far is
+ * saved first (kept or deleted with the rest of the trace). When `fn` succeeds the page is left
+ * on about:blank before recording resumes, so the next screencast frame can't show the secret;
+ * when it fails the trace stays paused and the failure dump (masked, redacted) shows the page.
+ */
+export async function withTracingPaused(page, fn) {
+  const context = page.context();
+  const run = bound.get(context);
+  if (!run?.tracing || run.paused) return fn();
+
+  run.paused = true;
+  try {
+    const file = nextFile(run, "trace.zip");
+    await context.tracing.stopChunk({ path: file });
+    run.traceFiles.push(file);
+  } catch (err) {
+    // Better no trace than one with the credentials in it
+    log.warn("Trace pause failed, tracing stopped:", err?.message || err);
+    run.tracing = false;
+    await context.tracing.stop().catch(() => {});
+    return fn();
+  }
+
+  const result = await fn();
+
+  await page.goto("about:blank").catch(() => {});
+  try {
+    await context.tracing.startChunk();
+    run.paused = false;
+  } catch (err) {
+    log.warn("Trace resume failed:", err?.message || err);
+    run.tracing = false;
+  }
+  return result;
+}
+
+/**
+ * Wrap up the run's artifacts before its context closes: on failure dump every open page
+ * (screenshot + HTML) and the error, then stop the trace (saved per RUN_TRACE).
+ */
+export async function finishRunArtifacts(context, { error = null } = {}) {
+  const run = bound.get(context);
+  if (!run) return;
+
+  if (error) {
+    fs.writeFileSync(nextFile(run, "error.json"), JSON.stringify(redactValue(serializeError(error)), null, 2));
+
+    for (const [i, page] of context.pages().entries()) {
+      const label = `failure-page${i + 1}`;
+      await saveScreenshot(page, `${label}.png`, { force: true });
+      try {
+        fs.writeFileSync(nextFile(run, `${label}.html`), redactText(`<!-- ${page.url()} -->\n${await page.content()}`));
+      } catch (err) {
+        log.warn("HTML dump failed:", err?.message || err);
+      }
+    }
+  }
+
+  const keep = traceMode() === "always" || (traceMode() === "on-failure" && !!error);
+  if (run.tracing) {
+    try {
+      // A paused trace has nothing recording; stop() just discards the (empty) state
+      await context.tracing.stop(keep && !run.paused ? { path: nextFile(run, "trace.zip") } : undefined);
+    } catch (err) {
+      log.warn("Trace stop failed:", err?.message || err);
+    }
+  }
+  if (!keep) {
+    for (const file of run.traceFiles) fs.rmSync(file, { force: true });
+  }
+
+  bound.delete(context);
+}
+
+// Files of a run (oldest first), or null when the run has no artifacts.
+export function listRunArtifacts(id) {
+  if (!RUN_ID.test(String(id))) return null;
+
+  const dir = runDir(id);
+  if (!fs.existsSync(dir)) return null;
+
+  return fs
+    .readdirSync(dir)
+    .sort()
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return {
+        name,
+        size: stat.size,
+        modified_at: stat.mtime.toISOString(),
+        url: `/runs/${id}/artifacts/${encodeURIComponent(name)}`,
+      };
+    });
+}
+
+// Absolute path of one artifact, or null (unknown run/file, or a name trying to leave the run dir).
+export function runArtifactPath(id, name) {
+  if (!RUN_ID.test(String(id)) || path.basename(String(name)) !== name) return null;
+  const file = path.join(runDir(id), name);
+  return fs.existsSync(file) ? file : null;
+}
+
+function isUnfinished(id) {
+  const status = getJob(id)?.status;
+  return status === JOB_STATUS.QUEUED || status === JOB_STATUS.RUNNING;
+}
+
+// Delete runs past RUN_ARTIFACTS_RETENTION_DAYS and beyond the newest RUN_ARTIFACTS_MAX_RUNS
+// (runs of unfinished jobs are neither deleted nor counted).
+export function pruneRunArtifacts() {
+  const root = storagePath("runs");
+  if (!fs.existsSync(root)) return;
+
+  const days = nonNegative("RUN_ARTIFACTS_RETENTION_DAYS", 14);
+  const maxRuns = nonNegative("RUN_ARTIFACTS_MAX_RUNS", 200);
+  const cutoff = days ? Date.now() - days * 86_400_000 : -Infinity;
+
+  const runs = fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !isUnfinished(d.name))
+    .map((d) => ({ name: d.name, mtime: fs.statSync(path.join(root, d.name)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+
+  let removed = 0;
+  for (const [i, run] of runs.entries()) {
+    if (run.mtime >= cutoff && (!maxRuns || i < maxRuns)) continue;
+    fs.rmSync(path.join(root, run.name), { recursive: true, force: true });
+    removed++;
+  }
+  if (removed) log.info(`Pruned ${removed} run artifact dir(s)`);
+}
+
+// Prune now, then every RUN_ARTIFACTS_PRUNE_MINUTES.
+export function startRunArtifactsPruning() {
+  pruneRunArtifacts();
+
+  const minutes = nonNegative("RUN_ARTIFACTS_PRUNE_MINUTES", 60);
+  if (!minutes || pruneTimer) return;
+
+  pruneTimer = setInterval(() => {
+    try {
+      pruneRunArtifacts();
+    } catch (err) {
+      log.warn("Run artifact pruning failed:", err?.message || err);
+    }
+  }, minutes * 60_000);
+  pruneTimer.unref();
+}
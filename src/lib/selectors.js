@@ -0,0 +1,186 @@
+// src/lib/selectors.js
+import fs from "node:fs";
+import { shopifyError } from "./errors.js";
+import { log } from "./logger.js";
+
+/**
+ * Selector registry: every DOM target the flow touches, by name, with ordered fallback strategies.
+ *
+ * Base registry: config/selectors.json ({ version, targets: { name: { strategies: [...] } } })
+ *
+ * Overrides (no code deploy needed; re-read at the start of every run):
+ * - SELECTORS_PATH (optional; JSON file with the same shape)
+ * - SELECTORS_JSON (optional; same shape, inline)
+ * An override target replaces the base target's strategies; a `version` in the override replaces the stamp.
+ *
+ * Strategy shapes (string values of the form "/re/flags" become RegExps; "{var}" is filled from `vars`):
+ * - { "selector": "#app_form_name" }           (any Playwright selector: CSS, text=..., etc.)
+ * - { "role": "button", "name": "/^create$/i", "exact": false }
+ * - { "label": "/app url/i" }
+ * - { "placeholder": "myshopify" }
+ * - { "text": "/custom distribution/i" }
+ */
+
+const BASE_REGISTRY_URL = new URL("../../config/selectors.json", import.meta.url);
+const STRATEGY_TYPES = ["selector", "role", "label", "placeholder", "text"];
+
+// BrowserContext -> { registry, matched }
+const bound = new WeakMap();
+
+function readJsonFile(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid ${what}: ${err.message}`);
+  }
+}
+
+function validateRegistry(registry, what) {
+  if (!registry || typeof registry.targets !== "object") {
+    throw new Error(`Invalid ${what}: expected { version, targets }`);
+  }
+  for (const [name, target] of Object.entries(registry.targets)) {
+    if (!Array.isArray(target?.strategies) || !target.strategies.length) {
+      throw new Error(`Invalid ${what}: target "${name}" needs a non-empty strategies array`);
+    }
+    for (const s of target.strategies) {
+      if (!STRATEGY_TYPES.some((t) => t in s)) {
+        throw new Error(`Invalid ${what}: target "${name}" has a strategy without ${STRATEGY_TYPES.join("/")}`);
+      }
+    }
+  }
+  return registry;
+}
+
+export function loadSelectorRegistry() {
+  const base = validateRegistry(readJsonFile(BASE_REGISTRY_URL, "config/selectors.json"), "config/selectors.json");
+
+  const overrides = [];
+  if (process.env.SELECTORS_PATH) {
+    overrides.push(validateRegistry(readJsonFile(process.env.SELECTORS_PATH, "SELECTORS_PATH file"), "SELECTORS_PATH file"));
+  }
+  if (process.env.SELECTORS_JSON?.trim()) {
+    let inline;
+    try {
+      inline = JSON.parse(process.env.SELECTORS_JSON);
+    } catch {
+      throw new Error("Invalid SELECTORS_JSON (must be valid JSON)");
+    }
+    overrides.push(validateRegistry(inline, "SELECTORS_JSON"));
+  }
+
+  return overrides.reduce(
+    (acc, o) => ({
+      version: o.version || `${acc.version}+override`,
+      targets: { ...acc.targets, ...o.targets },
+    }),
+    { version: base.version, targets: base.targets }
+  );
+}
+
+// Attach a freshly loaded registry (and an empty match report) to a browser context.
+export function bindSelectors(context) {
+  const registry = loadSelectorRegistry();
+  bound.set(context, { registry, matched: {} });
+  log.info("Selector registry version:", registry.version);
+  return registry;
+}
+
+function pageOf(scope) {
+  return typeof scope.page === "function" ? scope.page() : scope;
+}
+
+function stateFor(scope) {
+  const context = pageOf(scope).context();
+  if (!bound.has(context)) bindSelectors(context);
+  return bound.get(context);
+}
+
+function fill(value, vars) {
+  if (typeof value !== "string") return value;
+  const filled = value.replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+  const re = filled.match(/^\/(.+)\/([a-z]*)$/s);
+  return re ? new RegExp(re[1], re[2]) : filled;
+}
+
+function toLocator(scope, strategy, vars) {
+  if (strategy.selector) return scope.locator(fill(strategy.selector, vars));
+  if (strategy.role) {
+    const opts = {};
+    if (strategy.name !== undefined) opts.name = fill(strategy.name, vars);
+    if (strategy.exact !== undefined) opts.exact = strategy.exact;
+    return scope.getByRole(strategy.role, opts);
+  }
+  if (strategy.label) return scope.getByLabel(fill(strategy.label, vars));
+  if (strategy.placeholder) return scope.getByPlaceholder(fill(strategy.placeholder, vars));
+  return scope.getByText(fill(strategy.text, vars));
+}
+
+function describe(strategy) {
+  return Object.entries(strategy)
+    .map(([k, v]) => `${k}=${v}`)
+    .join(" ");
+}
+
+export function selectorStrategies(scope, name) {
+  const target = stateFor(scope).registry.targets[name];
+  if (!target) throw new Error(`Unknown selector target: ${name}`);
+  return target.strategies;
+}
+
+// One locator per strategy of the target, unchecked (e.g. to mask every place it could be)
+export function selectorLocators(scope, name, { vars = {} } = {}) {
+  return selectorStrategies(scope, name).map((strategy) => toLocator(scope, strategy, vars));
+}
+
+/**
+ * One pass over the target's strategies, in order. Returns the locator of the first one that
+ * matches (not narrowed with .first(), so callers can .nth()), or null.
+ *
+ * Options: vars (template values), state ("attached" | "visible"), accept(locator) => boolean.
+ */
+export async function find(scope, name, { vars = {}, state = "attached", accept } = {}) {
+  const st = stateFor(scope);
+  const strategies = selectorStrategies(scope, name);
+
+  for (let i = 0; i < strategies.length; i++) {
+    const loc = toLocator(scope, strategies[i], vars);
+
+    if ((await loc.count().catch(() => 0)) === 0) continue;
+    if (state === "visible" && !(await loc.first().isVisible().catch(() => false))) continue;
+    if (accept && !(await accept(loc).catch(() => false))) continue;
+
+    const strategy = `#${i + 1}/${strategies.length} ${describe(strategies[i])}`;
+    if (st.matched[name] !== strategy) {
+      log.info(`SELECTOR ${name} matched strategy ${strategy}`);
+      st.matched[name] = strategy;
+    }
+    return loc;
+  }
+
+  return null;
+}
+
+// Like find(), but keeps polling until `timeout` and throws when nothing matched.
+export async function locate(scope, name, { timeout = 30_000, ...opts } = {}) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const loc = await find(scope, name, opts);
+    if (loc) return loc;
+    if (Date.now() >= deadline) break;
+    await new Promise((r) => setTimeout(r, 250));
+  }
+
+  const url = pageOf(scope).url();
+  throw shopifyError("SELECTOR_NOT_FOUND", `Selector not found: ${name} (no strategy matched within ${timeout}ms) on ${url}`, {
+    url,
+    target: name,
+  });
+}
+
+// { version, matched: { target: "#n/m strategy" } } for the run's result / logs.
+export function selectorReport(context) {
+  const st = bound.get(context);
+  return st ? { version: st.registry.version, matched: { ...st.matched } } : null;
+}
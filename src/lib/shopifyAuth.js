@@ -1,10 +1,24 @@
 import { chromium } from "playwright";
+import { saveStorageState } from "./shopifySession.js";
+import { resolveProfile } from "./profiles.js";
 
-const dashboardUrl = process.env.SHOPIFY_DEV_DASHBOARD_URL;
-const email = process.env.SHOPIFY_EMAIL;
-const password = process.env.SHOPIFY_PASSWORD;
+/**
+ * Headed login to refresh a profile's Shopify session
+ * (run via `npm run session:login [-- --profile <name>]`).
+ *
+ * Expects env vars:
+ * - SHOPIFY_EMAIL, SHOPIFY_PASSWORD (optional; pre-filled when the login form shows)
+ * - the profile's settings (see profiles.js)
+ * - SESSION_UPLOAD_URL (optional; e.g. https://<service>/session/storage-state — the fresh
+ *   storageState is PUT there too, so production picks it up without a redeploy)
+ * - SESSION_ADMIN_TOKEN (required with SESSION_UPLOAD_URL)
+ */
+export async function saveShopifyStorageState({ profile: profileName } = {}) {
+  const profile = resolveProfile(profileName);
+  const dashboardUrl = profile.dashboard_url;
+  const email = process.env.SHOPIFY_EMAIL;
+  const password = process.env.SHOPIFY_PASSWORD;
 
-export async function saveShopifyStorageState() {
   const browser = await chromium.launch({ headless: false }); // headed so you can do MFA
   const context = await browser.newContext();
   const page = await context.newPage();
@@ -15,24 +29,43 @@ export async function saveShopifyStorageState() {
   const emailSelector = 'input[type="email"], input[name="account[email]"], input#account_email';
   const passSelector = 'input[type="password"], input[name="account[password]"], input#account_password';
 
-  if (await page.locator(emailSelector).first().isVisible().catch(() => false)) {
+  if (email && (await page.locator(emailSelector).first().isVisible().catch(() => false))) {
     await page.locator(emailSelector).first().fill(email);
     await page.keyboard.press("Enter");
     await page.waitForTimeout(500);
   }
 
-  if (await page.locator(passSelector).first().isVisible().catch(() => false)) {
+  if (password && (await page.locator(passSelector).first().isVisible().catch(() => false))) {
     await page.locator(passSelector).first().fill(password);
     await page.keyboard.press("Enter");
   }
 
   // Give you time to finish MFA / “Continue” prompts manually if needed.
-  // When you see the dev dashboard/apps page, come back here and press Enter in Terminal.
-  console.log("\nComplete login in the opened browser (including MFA), then press Enter here...");
+  // Open Partners too in the window so its cookies are captured, then press Enter in Terminal.
+  console.log("\nComplete login in the opened browser (including MFA and Partners), then press Enter here...");
   await new Promise((resolve) => process.stdin.once("data", resolve));
 
-  await context.storageState({ path: "storage/shopify-storage.json" });
+  const state = await context.storageState();
   await browser.close();
 
-  console.log("Saved storage state to storage/shopify-storage.json");
+  saveStorageState(profile, state, { source: "login" });
+
+  if (process.env.SESSION_UPLOAD_URL) {
+    const url = new URL(process.env.SESSION_UPLOAD_URL);
+    url.searchParams.set("profile", profile.name);
+    const uploadUrl = url.toString();
+
+    const res = await fetch(uploadUrl, {
+      method: "PUT",
+      headers: {
+        "content-type": "application/json",
+        authorization: `Bearer ${process.env.SESSION_ADMIN_TOKEN || ""}`,
+      },
+      body: JSON.stringify(state),
+    });
+    if (!res.ok) throw new Error(`Upload to ${uploadUrl} failed: ${res.status} ${await res.text()}`);
+    console.log("Uploaded storage state to", uploadUrl);
+  }
+
+  return state;
 }
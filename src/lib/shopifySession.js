@@ -0,0 +1,295 @@
+// src/lib/shopifySession.js
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { storagePath, writeJsonAtomic, readJson } from "./storage.js";
+import { newIsolatedContext } from "./browser.js";
+import { shopifyBaseUrl, partnersUrl, onShopifySite } from "./shopifyUrls.js";
+import { DEFAULT_PROFILE, loadProfiles } from "./profiles.js";
+import { log } from "./logger.js";
+
+/**
+ * The Shopify login session (a Playwright storageState) every run starts from, one per
+ * organization profile (see profiles.js).
+ *
+ * Where it is read from, first match wins:
+ * 1. the profile's managed file (STORAGE_DIR/session/storage-state.json for "default",
+ *    STORAGE_DIR/session/<profile>/storage-state.json otherwise), written by uploads,
+ *    successful probes and `npm run session:login`
+ * 2. the env var named by the profile's storage_state_env (the deploy-time session;
+ *    SHOPIFY_STORAGE_STATE_JSON for the env-built "default" profile)
+ * 3. STORAGE_DIR/shopify-storage.json (legacy local file; "default" profile only)
+ *
+ * The managed file records a fingerprint of the env value present when it was written. Once
+ * the env var holds something else (redeployed with a fresh session) the env value is newer
+ * and wins, until the next save writes a managed file that carries it forward.
+ *
+ * Probe: opens the dev dashboard and the Partners apps list with the session and checks
+ * that neither lands on Shopify Accounts. A passing probe saves the refreshed cookies back
+ * to the managed file, so probing on a timer also keeps the session alive.
+ *
+ * Expects env vars:
+ * - SESSION_REFRESH_MINUTES (optional; background probe interval, default 360, 0 disables)
+ */
+
+const LEGACY_FILE = storagePath("shopify-storage.json");
+
+// profile name -> last probe result / probe in flight
+const lastProbe = new Map();
+// profile name -> source its session was last loaded from, to log when that changes
+const lastSource = new Map();
+const probing = new Map();
+let refreshTimer = null;
+let nextRefreshAt = null;
+
+export function sessionFile(profile) {
+  return profile.name === DEFAULT_PROFILE
+    ? storagePath("session", "storage-state.json")
+    : storagePath("session", profile.name, "storage-state.json");
+}
+
+function isStorageState(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    Array.isArray(value.cookies) &&
+    (value.origins === undefined || Array.isArray(value.origins))
+  );
+}
+
+function fingerprint(json) {
+  return crypto.createHash("sha256").update(json).digest("hex").slice(0, 16);
+}
+
+// The profile's deploy-time session: { state, fingerprint }, or null when its env var is unset
+function envStorageState(profile) {
+  const envName = profile.storage_state_env;
+  const json = envName && process.env[envName]?.trim();
+  if (!json) return null;
+
+  let state;
+  try {
+    state = JSON.parse(json);
+  } catch {
+    throw new Error(`Invalid ${envName} (must be valid JSON)`);
+  }
+  if (!isStorageState(state)) throw new Error(`Invalid ${envName} (expected { cookies, origins })`);
+  return { state, fingerprint: fingerprint(json) };
+}
+
+function findStorageState(profile) {
+  const env = envStorageState(profile);
+
+  const file = sessionFile(profile);
+  if (fs.existsSync(file)) {
+    const saved = readJson(file);
+    if (!isStorageState(saved)) throw new Error(`Invalid storageState in ${file}`);
+    // Files saved before fingerprints were recorded can't tell, and keep winning as they used to
+    if (!env || saved.env_fingerprint === undefined || saved.env_fingerprint === env.fingerprint) {
+      const { env_fingerprint: _fp, ...state } = saved;
+      return { state, source: "managed", updated_at: fs.statSync(file).mtime.toISOString() };
+    }
+  }
+
+  if (env) return { state: env.state, source: "env", updated_at: null };
+
+  if (profile.name === DEFAULT_PROFILE && fs.existsSync(LEGACY_FILE)) {
+    const state = readJson(LEGACY_FILE);
+    if (isStorageState(state)) {
+      return { state, source: "legacy-file", updated_at: fs.statSync(LEGACY_FILE).mtime.toISOString() };
+    }
+  }
+
+  return null;
+}
+
+// { state, source, updated_at } of the session the profile's runs will use, or null when there is none.
+export function loadStorageState(profile) {
+  const loaded = findStorageState(profile);
+  const source = loaded?.source ?? null;
+  if (lastSource.get(profile.name) !== source) {
+    lastSource.set(profile.name, source);
+    const why = source === "env" && fs.existsSync(sessionFile(profile)) ? " (env value changed since the managed file was saved)" : "";
+    log.info(`Shopify session for ${profile.name}: using ${source ?? "none"}${why}`);
+  }
+  return loaded;
+}
+
+// What Playwright's newContext({ storageState }) takes; undefined starts logged out.
+export function getStorageState(profile) {
+  return loadStorageState(profile)?.state;
+}
+
+export function saveStorageState(profile, state, { source = "upload" } = {}) {
+  if (!isStorageState(state)) throw new Error("storageState must be an object with a cookies array");
+  const file = sessionFile(profile);
+  // The env value this session supersedes; a different one later means a redeploy with a newer session
+  const env_fingerprint = envStorageState(profile)?.fingerprint ?? null;
+  writeJsonAtomic(file, { cookies: state.cookies, origins: state.origins || [], env_fingerprint });
+  log.info(`Saved Shopify session for ${profile.name} (${source}) to ${file}:`, state.cookies.length, "cookies");
+}
+
+function cookieMatches(cookieDomain, host) {
+  const d = String(cookieDomain || "").replace(/^\./, "").toLowerCase();
+  return host === d || host.endsWith(`.${d}`);
+}
+
+/**
+ * Per site: how many cookies apply, how many already expired and when the first of the
+ * rest expires. Cookies without an expiry (-1) are browser-session cookies.
+ */
+export function cookieExpiry(state, now = Date.now()) {
+  const cookies = state?.cookies || [];
+
+  return Object.fromEntries(
+    ["dev", "partners", "accounts"].map((site) => {
+      const host = new URL(shopifyBaseUrl(site)).hostname.toLowerCase();
+      const relevant = cookies.filter((c) => cookieMatches(c.domain, host));
+      const persistent = relevant.filter((c) => c.expires > 0);
+      const expired = persistent.filter((c) => c.expires * 1000 <= now);
+      const live = persistent.filter((c) => c.expires * 1000 > now).map((c) => c.expires * 1000);
+
+      return [
+        site,
+        {
+          host,
+          cookies: relevant.length,
+          session_cookies: relevant.length - persistent.length,
+          expired: expired.length,
+          earliest_expiry: live.length ? new Date(Math.min(...live)).toISOString() : null,
+        },
+      ];
+    })
+  );
+}
+
+async function probeSite(page, url) {
+  try {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60_000 });
+    const landed = page.url();
+    return { ok: !onShopifySite("accounts", landed), url: landed };
+  } catch (err) {
+    return { ok: false, url, error: err?.message || String(err) };
+  }
+}
+
+async function runProbe(profile) {
+  const started = Date.now();
+  const loaded = loadStorageState(profile);
+
+  if (!loaded) {
+    return { ok: false, checked_at: new Date().toISOString(), source: null, error: "No stored session" };
+  }
+
+  let context;
+
+  try {
+    context = await newIsolatedContext({ storageState: loaded.state });
+    const page = await context.newPage();
+
+    const dev = await probeSite(page, profile.dashboard_url);
+    const partners = await probeSite(page, partnersUrl(`/${profile.partners_id}/apps`));
+    const ok = dev.ok && partners.ok;
+
+    // Visiting both sites rotates cookies; keep the fresh ones
+    if (ok) saveStorageState(profile, await context.storageState(), { source: "probe" });
+
+    return {
+      ok,
+      checked_at: new Date().toISOString(),
+      duration_ms: Date.now() - started,
+      source: loaded.source,
+      dev,
+      partners,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      checked_at: new Date().toISOString(),
+      duration_ms: Date.now() - started,
+      source: loaded.source,
+      error: err?.message || String(err),
+    };
+  } finally {
+    await context?.close().catch(() => {});
+  }
+}
+
+// Concurrent callers for the same profile share one probe.
+export function probeSession(profile) {
+  if (!probing.has(profile.name)) {
+    const p = runProbe(profile)
+      .then((result) => {
+        lastProbe.set(profile.name, result);
+        log.info(`SESSION probe ${profile.name}:`, result.ok ? "ok" : "FAILED", result.error || "", {
+          dev: result.dev?.url,
+          partners: result.partners?.url,
+        });
+        return result;
+      })
+      .finally(() => {
+        probing.delete(profile.name);
+      });
+    probing.set(profile.name, p);
+  }
+  return probing.get(profile.name);
+}
+
+export function sessionStatus(profile) {
+  let loaded = null;
+  let error = null;
+  try {
+    loaded = loadStorageState(profile);
+  } catch (err) {
+    error = err.message;
+  }
+
+  return {
+    profile: profile.name,
+    present: !!loaded,
+    source: loaded?.source || null,
+    updated_at: loaded?.updated_at || null,
+    error,
+    cookies: loaded ? cookieExpiry(loaded.state) : null,
+    last_probe: lastProbe.get(profile.name) || null,
+    probing: probing.has(profile.name),
+    refresh: {
+      interval_minutes: refreshTimer ? refreshIntervalMinutes() : 0,
+      next_at: nextRefreshAt,
+    },
+  };
+}
+
+function refreshIntervalMinutes() {
+  const n = Number(process.env.SESSION_REFRESH_MINUTES ?? 360);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// Every profile, one after the other (each probe opens its own context in the shared browser).
+async function probeAllProfiles() {
+  let profiles;
+  try {
+    profiles = Object.values(loadProfiles().profiles);
+  } catch (err) {
+    log.warn("Session refresh skipped:", err.message);
+    return;
+  }
+  for (const profile of profiles) {
+    await probeSession(profile).catch(() => {});
+  }
+}
+
+// Background keep-alive: probe (and so re-save the cookies) every SESSION_REFRESH_MINUTES.
+export function startSessionRefresh() {
+  const minutes = refreshIntervalMinutes();
+  if (!minutes || refreshTimer) return;
+
+  const ms = minutes * 60_000;
+  nextRefreshAt = new Date(Date.now() + ms).toISOString();
+  refreshTimer = setInterval(() => {
+    nextRefreshAt = new Date(Date.now() + ms).toISOString();
+    probeAllProfiles();
+  }, ms);
+  refreshTimer.unref();
+
+  log.info(`Session refresh every ${minutes} min`);
+}
@@ -0,0 +1,52 @@
+// src/lib/shopifyUrls.js
+
+/**
+ * Base URLs of the three Shopify sites the flow drives. Production by default;
+ * point them at the offline mock (src/mock/shopifyMock.js) to run the flow in CI.
+ *
+ * - SHOPIFY_DEV_BASE_URL (optional; default https://dev.shopify.com)
+ * - SHOPIFY_PARTNERS_BASE_URL (optional; default https://partners.shopify.com)
+ * - SHOPIFY_ACCOUNTS_BASE_URL (optional; default https://accounts.shopify.com)
+ *
+ * A base URL may carry a path prefix, e.g. http://127.0.0.1:4010/dev.
+ * Read on every call, so tests can switch them without re-importing.
+ */
+
+const SITES = {
+  dev: { env: "SHOPIFY_DEV_BASE_URL", fallback: "https://dev.shopify.com" },
+  partners: { env: "SHOPIFY_PARTNERS_BASE_URL", fallback: "https://partners.shopify.com" },
+  accounts: { env: "SHOPIFY_ACCOUNTS_BASE_URL", fallback: "https://accounts.shopify.com" },
+};
+
+export function shopifyBaseUrl(site) {
+  const s = SITES[site];
+  if (!s) throw new Error(`Unknown Shopify site: ${site}`);
+  return (process.env[s.env]?.trim() || s.fallback).replace(/\/+$/, "");
+}
+
+export function devUrl(path) {
+  return shopifyBaseUrl("dev") + path;
+}
+
+export function partnersUrl(path) {
+  return shopifyBaseUrl("partners") + path;
+}
+
+// Whether `url` is on the given site (its base URL, including any path prefix).
+export function onShopifySite(site, url) {
+  const base = shopifyBaseUrl(site);
+  const u = String(url || "");
+  return u === base || u.startsWith(`${base}/`) || u.startsWith(`${base}?`);
+}
+
+// *.shopify.com, or the host of any configured base URL (the mock in CI).
+export function isShopifyHost(url) {
+  let host;
+  try {
+    host = new URL(url).host;
+  } catch {
+    return false;
+  }
+  if (/(^|\.)shopify\.com$/i.test(host)) return true;
+  return Object.keys(SITES).some((site) => new URL(shopifyBaseUrl(site)).host === host);
+}
@@ -0,0 +1,39 @@
+// src/lib/storage.js
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Local storage root shared by screenshots, the job store and session files.
+ *
+ * Expects env vars:
+ * - STORAGE_DIR (optional; defaults to /app/storage on Render, ./storage locally)
+ */
+export const STORAGE_DIR =
+  process.env.STORAGE_DIR ||
+  (process.env.RENDER
+    ? "/app/storage"
+    : path.join(process.cwd(), "storage"));
+
+export async function ensureStorageDir() {
+  await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+}
+
+export function storagePath(...parts) {
+  return path.join(STORAGE_DIR, ...parts);
+}
+
+// Write JSON via a temp file + rename so a crash never leaves a half-written file behind.
+export function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+export function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
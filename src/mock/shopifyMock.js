@@ -0,0 +1,690 @@
+// src/mock/shopifyMock.js
+import express from "express";
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { DEFAULT_APP_SPEC, APP_PROXY_PREFIXES, mergeAppConfig } from "../lib/appConfig.js";
+
+/**
+ * Offline stand-in for the Shopify pages the flow touches, so generateShopifyApp and its
+ * failure paths can run in CI without a live session:
+ * - Dev Dashboard (/dev): apps list (paginated table), apps/new, versions/new + release modal, versions list,
+ *   version detail, settings with copy buttons and a credentials API call, secret rotation
+ * - Partners (/partners): apps list (session probe), distribution page, custom-distribution modal,
+ *   generate-link API
+ * - Accounts (/accounts): login page the other two redirect to when a session is required
+ *
+ * Run it:
+ *   npm run mock:shopify      (MOCK_SHOPIFY_PORT, default 4010)
+ * then point the flow at it (printed on start):
+ *   SHOPIFY_DEV_BASE_URL=http://127.0.0.1:4010/dev
+ *   SHOPIFY_PARTNERS_BASE_URL=http://127.0.0.1:4010/partners
+ *   SHOPIFY_ACCOUNTS_BASE_URL=http://127.0.0.1:4010/accounts
+ *   SHOPIFY_DEV_DASHBOARD_URL=http://127.0.0.1:4010/dev/dashboard/1/apps
+ *
+ * UI variants (MOCK_SHOPIFY_VARIANTS as JSON at start, or POST /__mock/variants at runtime):
+ * - distribution: "direct" ("Select custom distribution" button) | "card" (card + "Select") |
+ *   "unavailable" (the distribution page sends you back to the Partners apps list)
+ * - modal: "dialog" ([role=dialog]) | "polaris" (.Polaris-Modal-Dialog, no role)
+ * - credentials: "network" (credentials API response) | "clipboard" (copy buttons only) | "dom" (plain input)
+ * - login: "none" | "dashboard" (every site needs a session) | "partners" (Partners only, like the 2FA wall)
+ * - release_disabled: Release button stays disabled
+ * - release_inactive: releasing creates a version that never becomes active
+ * - app_url_slug: a created app's URL carries a name slug after its id (/apps/1001-acme), so no id can be read from it
+ * - refuse_domains: store domains the generate-link API refuses
+ * - secret_grace_hours: how long a rotated-out secret keeps working (0 = revoked right away)
+ * - rotation_ignored: the rotate-secret API answers but the secret stays the same
+ * - apps_page_size: apps per page of the Dev Dashboard apps list
+ *
+ * Control: GET /__mock/state, POST /__mock/variants (merge), POST /__mock/reset (apps + variants).
+ *
+ * test/e2e/generateShopifyApp.test.js (part of `npm test`, needs Chromium: `npm run build`) runs the
+ * flows against it with each of the variants above.
+ */
+
+export const DEFAULT_VARIANTS = {
+  distribution: "direct",
+  modal: "dialog",
+  credentials: "network",
+  login: "none",
+  release_disabled: false,
+  release_inactive: false,
+  app_url_slug: false,
+  refuse_domains: [],
+  secret_grace_hours: 24,
+  rotation_ignored: false,
+  apps_page_size: 25,
+};
+
+const SESSION_COOKIE = "mock_shopify_session";
+
+const WEBHOOK_API_VERSIONS = ["2025-01", "2025-04", "2025-07", "2025-10", "2026-01", "2026-04", "2026-07", "2026-10", "unstable"];
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// JSON that is safe to inline in a <script>
+function inlineJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+function hex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function cookies(req) {
+  return Object.fromEntries(
+    String(req.headers.cookie || "")
+      .split(";")
+      .map((c) => c.trim().split("="))
+      .filter(([k]) => k)
+  );
+}
+
+function asList(v) {
+  if (v === undefined) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+// Client-side modal: rendered into the DOM only while open, like Polaris portals.
+const MODAL_SCRIPT = `
+function openModal(title, text, buttons) {
+  closeModal();
+  const dialog = document.createElement("div");
+  dialog.id = "mock-modal";
+  if (window.__MOCK_MODAL === "polaris") dialog.className = "Polaris-Modal-Dialog";
+  else dialog.setAttribute("role", "dialog");
+  const h = document.createElement("h2");
+  h.textContent = title;
+  const p = document.createElement("p");
+  p.textContent = text;
+  dialog.append(h, p);
+  for (const [label, onClick] of buttons) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.textContent = label;
+    b.addEventListener("click", onClick);
+    dialog.append(b);
+  }
+  document.body.append(dialog);
+}
+function closeModal() {
+  document.getElementById("mock-modal")?.remove();
+}
+`;
+
+function page(title, body, { script = "", variants } = {}) {
+  const scripts = script
+    ? `<script>window.__MOCK_MODAL = ${inlineJson(variants?.modal)};${MODAL_SCRIPT}${script}</script>`
+    : "";
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 24px; }
+label { display: block; margin-top: 12px; }
+input[type="text"], input:not([type]), textarea, select { display: block; width: 480px; }
+#mock-modal { position: fixed; top: 80px; left: 80px; padding: 24px; background: #fff; border: 1px solid #333; }
+.Polaris-InlineError { color: #b00; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+${scripts}
+</body>
+</html>`;
+}
+
+function textField(id, name, label, value, { textarea = false } = {}) {
+  const field = textarea
+    ? `<textarea id="${id}" name="${name}">${esc(value)}</textarea>`
+    : `<input type="text" id="${id}" name="${name}" value="${esc(value)}">`;
+  return `<label for="${id}">${esc(label)}</label>${field}`;
+}
+
+function selectField(id, name, label, options, value) {
+  const opts = ["", ...options]
+    .map((o) => `<option value="${esc(o)}"${o === value ? " selected" : ""}>${esc(o || "—")}</option>`)
+    .join("");
+  return `<label for="${id}">${esc(label)}</label><select id="${id}" name="${name}">${opts}</select>`;
+}
+
+function checkbox(id, name, label, checked) {
+  return `<label><input type="checkbox" id="${id}" name="${name}" value="true"${checked ? " checked" : ""}> ${esc(label)}</label>`;
+}
+
+function webhookRow(i, sub) {
+  const base = `version_app_module_data_webhooks_subscriptions_${i}`;
+  return `<div class="webhook-row">
+${textField(`${base}_topics`, "webhook_topics", "Topics", sub.topics.join(","))}
+${textField(`${base}_uri`, "webhook_uri", "Endpoint URI", sub.uri)}
+<button type="button" class="remove-subscription" aria-label="Remove subscription">Remove</button>
+</div>`;
+}
+
+function versionFromForm(body) {
+  const topics = asList(body.webhook_topics);
+  const uris = asList(body.webhook_uri);
+
+  return mergeAppConfig(DEFAULT_APP_SPEC, {
+    app_url: body.app_url,
+    redirect_urls: body.redirect_urls,
+    scopes: body.scopes,
+    optional_scopes: body.optional_scopes,
+    embedded: body.embedded === "true",
+    preferences_url: body.preferences_url,
+    webhooks: {
+      api_version: body.webhooks_api_version || null,
+      subscriptions: uris.map((uri, i) => ({ uri, topics: topics[i] || "" })).filter((sub) => sub.uri.trim()),
+    },
+    compliance: {
+      customers_data_request_url: body.customers_data_request_url,
+      customers_redact_url: body.customers_redact_url,
+      shop_redact_url: body.shop_redact_url,
+    },
+    app_proxy: body.app_proxy_url ? { prefix: body.app_proxy_prefix, subpath: body.app_proxy_subpath, url: body.app_proxy_url } : null,
+    pos: { embedded: body.pos_embedded === "true" },
+  });
+}
+
+export function createShopifyMock({ variants = {} } = {}) {
+  const state = {
+    variants: { ...DEFAULT_VARIANTS, ...variants },
+    apps: new Map(),
+    nextAppId: 1001,
+    nextVersionId: 5001,
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  // ---- control ----
+  app.get("/__mock/state", (_req, res) => {
+    res.json({ variants: state.variants, apps: [...state.apps.values()] });
+  });
+
+  app.post("/__mock/variants", (req, res) => {
+    Object.assign(state.variants, req.body || {});
+    res.json({ variants: state.variants });
+  });
+
+  app.post("/__mock/reset", (req, res) => {
+    state.variants = { ...DEFAULT_VARIANTS, ...variants, ...(req.body || {}) };
+    state.apps.clear();
+    res.json({ variants: state.variants });
+  });
+
+  // ---- session ----
+  const requireSession = (site) => (req, res, next) => {
+    const { login } = state.variants;
+    const needed = login === "dashboard" || (login === "partners" && site === "partners");
+    if (!needed || cookies(req)[SESSION_COOKIE]) return next();
+    res.redirect(`/accounts/login?return_to=${encodeURIComponent(req.originalUrl)}`);
+  };
+
+  const findApp = (req, res, next) => {
+    const a = state.apps.get(req.params.appId);
+    if (!a) return res.status(404).send(page("Not found", "<h1>App not found</h1>"));
+    req.mockApp = a;
+    next();
+  };
+
+  // ---- accounts ----
+  const accounts = express.Router();
+
+  accounts.get("/login", (req, res) => {
+    const returnTo = String(req.query.return_to || "/");
+    res.send(
+      page(
+        "Log in",
+        `<h1>Log in</h1>
+<p>Continue to Shopify account</p>
+<form method="post" action="/accounts/login">
+<input type="hidden" name="return_to" value="${esc(returnTo)}">
+<button type="submit">Continue with email</button>
+</form>`
+      )
+    );
+  });
+
+  accounts.post("/login", (req, res) => {
+    const returnTo = String(req.body.return_to || "/");
+    res.setHeader("Set-Cookie", `${SESSION_COOKIE}=1; Path=/; HttpOnly`);
+    res.redirect(303, returnTo.startsWith("/") && !returnTo.startsWith("//") ? returnTo : "/");
+  });
+
+  // ---- dev dashboard ----
+  const dev = express.Router();
+  dev.use(requireSession("dev"));
+
+  const dashPath = (d, rest = "") => `/dev/dashboard/${d}/apps${rest}`;
+
+  dev.get("/dashboard/:dashboardId", (req, res) => res.redirect(dashPath(req.params.dashboardId)));
+
+  dev.get("/dashboard/:dashboardId/apps", (req, res) => {
+    const d = req.params.dashboardId;
+    const size = Math.max(1, Number(state.variants.apps_page_size) || 25);
+    const all = [...state.apps.values()].reverse();
+    const pages = Math.max(1, Math.ceil(all.length / size));
+    const n = Math.min(Math.max(1, Number(req.query.page) || 1), pages);
+
+    const rows = all
+      .slice((n - 1) * size, n * size)
+      .map((a) => {
+        const active = a.versions.find((v) => v.id === a.active_version_id);
+        const released = active
+          ? new Date(active.created_at).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })
+          : "—";
+        return (
+          `<tr><td><a href="${dashPath(d, `/${a.id}`)}">${esc(a.name)}</a></td>` +
+          `<td>${active ? `Version ${active.number}` : "—"}</td><td>${esc(released)}</td>` +
+          `<td>${a.distribution === "custom" ? "Custom" : "Not selected"}</td></tr>`
+        );
+      })
+      .join("");
+    const pageLink = (to, label) =>
+      to >= 1 && to <= pages
+        ? `<a href="${dashPath(d, `?page=${to}`)}" aria-label="${label}">${label}</a>`
+        : `<button type="button" aria-label="${label}" disabled>${label}</button>`;
+
+    res.send(
+      page(
+        "Apps",
+        `<h1>Apps</h1>
+<a href="${dashPath(d, "/new")}" class="button">Create app</a>
+<table>
+<thead><tr><th>App name</th><th>Active version</th><th>Released</th><th>Distribution</th></tr></thead>
+<tbody>${rows || '<tr><td colspan="4">No apps yet</td></tr>'}</tbody>
+</table>
+<nav aria-label="Pagination">${pageLink(n - 1, "Previous")} Page ${n} of ${pages} ${pageLink(n + 1, "Next")}</nav>`
+      )
+    );
+  });
+
+  dev.get("/dashboard/:dashboardId/apps/new", (req, res) => {
+    res.send(
+      page(
+        "Create an app",
+        `<h1>Create an app</h1>
+<form method="post" action="${dashPath(req.params.dashboardId)}">
+${textField("app_form_name", "name", "App name", "")}
+<button type="submit">Create</button>
+</form>`
+      )
+    );
+  });
+
+  dev.post("/dashboard/:dashboardId/apps", (req, res) => {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(422).send(page("Create an app", "<h1>Create an app</h1><p>Name is required</p>"));
+
+    const id = String(state.nextAppId++);
+    state.apps.set(id, {
+      id,
+      name,
+      client_id: hex(16),
+      client_secret: `shpss_${hex(16)}`,
+      versions: [],
+      active_version_id: null,
+      distribution: null,
+      links: [],
+    });
+    console.log(`MOCK created app ${id}: ${name}`);
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    res.redirect(303, dashPath(req.params.dashboardId, state.variants.app_url_slug ? `/${id}-${slug}` : `/${id}`));
+  });
+
+  dev.get("/dashboard/:dashboardId/apps/:appId", findApp, (req, res) => {
+    const a = req.mockApp;
+    const d = req.params.dashboardId;
+    res.send(
+      page(
+        a.name,
+        `<h1>${esc(a.name)}</h1>
+<nav><a href="${dashPath(d, `/${a.id}/versions`)}">Versions</a> <a href="${dashPath(d, `/${a.id}/settings`)}">Settings</a></nav>`
+      )
+    );
+  });
+
+  dev.get("/dashboard/:dashboardId/apps/:appId/versions/new", findApp, (req, res) => {
+    const a = req.mockApp;
+    const active = a.versions.find((v) => v.id === a.active_version_id);
+    const c = active ? active.config : mergeAppConfig(DEFAULT_APP_SPEC, {});
+    const v = state.variants;
+    const p = "version_app_module_data";
+    const subs = c.webhooks.subscriptions.length ? c.webhooks.subscriptions : [{ topics: [], uri: "" }];
+
+    res.send(
+      page(
+        "New version",
+        `<h1>Create a version</h1>
+<form id="version-form" method="post" action="${dashPath(req.params.dashboardId, `/${a.id}/versions`)}">
+<h2>App home</h2>
+${textField(`${p}_app_home_app_url`, "app_url", "App URL", c.app_url)}
+${checkbox(`${p}_app_home_embedded`, "embedded", "Embed app in Shopify admin", c.embedded)}
+${textField(`${p}_app_home_preferences_url`, "preferences_url", "Preferences URL", c.preferences_url)}
+<h2>Access</h2>
+${textField(`${p}_app_access_app_scopes`, "scopes", "Scopes", c.scopes.join(","), { textarea: true })}
+${textField(`${p}_app_access_app_optional_scopes`, "optional_scopes", "Optional scopes", c.optional_scopes.join(","), { textarea: true })}
+${textField(`${p}_app_access_redirect_urls`, "redirect_urls", "Redirect URLs", c.redirect_urls.join("\n"), { textarea: true })}
+<h2>Webhooks</h2>
+${selectField(`${p}_webhooks_api_version`, "webhooks_api_version", "Webhooks API version", WEBHOOK_API_VERSIONS, c.webhooks.api_version || "")}
+<div id="webhook-rows">${subs.map((sub, i) => webhookRow(i, sub)).join("")}</div>
+<button type="button" id="add-subscription">Add subscription</button>
+${textField(`${p}_webhooks_privacy_compliance_customers_data_request_url`, "customers_data_request_url", "Customer data request endpoint", c.compliance.customers_data_request_url)}
+${textField(`${p}_webhooks_privacy_compliance_customers_redact_url`, "customers_redact_url", "Customer data erasure endpoint", c.compliance.customers_redact_url)}
+${textField(`${p}_webhooks_privacy_compliance_shop_redact_url`, "shop_redact_url", "Shop data erasure endpoint", c.compliance.shop_redact_url)}
+<h2>App proxy</h2>
+${selectField(`${p}_app_proxy_prefix`, "app_proxy_prefix", "Subpath prefix", APP_PROXY_PREFIXES, c.app_proxy?.prefix || "")}
+${textField(`${p}_app_proxy_subpath`, "app_proxy_subpath", "Subpath", c.app_proxy?.subpath || "")}
+${textField(`${p}_app_proxy_url`, "app_proxy_url", "Proxy URL", c.app_proxy?.url || "")}
+<h2>POS</h2>
+${checkbox(`${p}_pos_embedded`, "pos_embedded", "Embed app in Shopify POS", c.pos.embedded)}
+</form>
+<button type="button" id="release"${v.release_disabled ? " disabled" : ""}>Release</button>`,
+        {
+          variants: v,
+          script: `
+document.getElementById("add-subscription").addEventListener("click", () => {
+  const rows = document.getElementById("webhook-rows");
+  const i = rows.children.length;
+  rows.insertAdjacentHTML("beforeend", ${inlineJson(webhookRow("__I__", { topics: [], uri: "" }))}.replaceAll("__I__", i));
+});
+document.getElementById("webhook-rows").addEventListener("click", (e) => {
+  if (e.target.classList.contains("remove-subscription")) e.target.closest(".webhook-row").remove();
+});
+document.getElementById("release").addEventListener("click", () => {
+  openModal("Release this version?", "Merchants get the new version right away.", [
+    ["Cancel", closeModal],
+    ["Release", () => document.getElementById("version-form").submit()],
+  ]);
+});`,
+        }
+      )
+    );
+  });
+
+  dev.post("/dashboard/:dashboardId/apps/:appId/versions", findApp, (req, res) => {
+    const a = req.mockApp;
+    const version = {
+      id: String(state.nextVersionId++),
+      number: a.versions.length + 1,
+      config: versionFromForm(req.body),
+      created_at: new Date().toISOString(),
+    };
+    a.versions.push(version);
+    if (!state.variants.release_inactive) a.active_version_id = version.id;
+    console.log(`MOCK released version ${version.id} of app ${a.id}`);
+    res.redirect(303, dashPath(req.params.dashboardId, `/${a.id}/versions/${version.id}`));
+  });
+
+  dev.get("/dashboard/:dashboardId/apps/:appId/versions", findApp, (req, res) => {
+    const a = req.mockApp;
+    const rows = [...a.versions]
+      .reverse()
+      .map(
+        (v) =>
+          `<tr><td><a href="${dashPath(req.params.dashboardId, `/${a.id}/versions/${v.id}`)}">Version ${v.number}</a></td>` +
+          `<td>${v.id === a.active_version_id ? "Active" : "Inactive"}</td></tr>`
+      )
+      .join("");
+    res.send(page("Versions", `<h1>Versions</h1><table><thead><tr><th>Version</th><th>Status</th></tr></thead><tbody>${rows}</tbody></table>`));
+  });
+
+  dev.get("/dashboard/:dashboardId/apps/:appId/versions/:versionId", findApp, (req, res) => {
+    const v = req.mockApp.versions.find((x) => x.id === req.params.versionId);
+    if (!v) return res.status(404).send(page("Not found", "<h1>Version not found</h1>"));
+    const c = v.config;
+    res.send(
+      page(
+        `Version ${v.number}`,
+        `<h1>Version ${v.number}</h1>
+<dl>
+<dt>App URL</dt><dd>${esc(c.app_url)}</dd>
+<dt>Embed app in Shopify admin</dt><dd>${c.embedded ? "Yes" : "No"}</dd>
+<dt>Scopes</dt><dd>${esc(c.scopes.join(", "))}</dd>
+<dt>Redirect URLs</dt><dd>${c.redirect_urls.map(esc).join("<br>")}</dd>
+</dl>`
+      )
+    );
+  });
+
+  dev.get("/dashboard/:dashboardId/apps/:appId/settings", findApp, (req, res) => {
+    const a = req.mockApp;
+    const mode = state.variants.credentials;
+    const secretValue = mode === "dom" ? a.client_secret : "••••••••••••••••";
+    const previous =
+      a.previous_secret && Date.parse(a.previous_secret.expires_at) > Date.now()
+        ? `<p id="previous-secret">Previous secret remains valid until ${esc(a.previous_secret.expires_at)}.</p>`
+        : "";
+    const copyButtons =
+      mode === "dom"
+        ? ""
+        : `<button type="button" aria-label="Copy client ID" data-copy="client_id">Copy</button>
+<button type="button" aria-label="Copy client secret" data-copy="client_secret">Copy</button>`;
+
+    res.send(
+      page(
+        "Settings",
+        `<h1>Settings</h1>
+<h2>Credentials</h2>
+${textField("client_id", "client_id", "Client ID", a.client_id)}
+${textField("client_secret", "client_secret", "Client secret", secretValue)}
+${copyButtons}
+<button type="button" id="rotate">Rotate secret</button>
+${previous}`,
+        {
+          variants: state.variants,
+          script: `
+const values = ${inlineJson(mode === "dom" ? {} : { client_id: a.client_id, client_secret: a.client_secret })};
+for (const b of document.querySelectorAll("[data-copy]")) {
+  b.addEventListener("click", () => navigator.clipboard.writeText(values[b.dataset.copy]));
+}
+fetch(${inlineJson(`/dev/api/apps/${a.id}/credentials`)}).catch(() => {});
+document.getElementById("rotate").addEventListener("click", () => {
+  openModal("Rotate client secret?", "Apps using the current secret must be updated.", [
+    ["Cancel", closeModal],
+    ["Rotate", async () => {
+      closeModal();
+      await fetch(${inlineJson(`/dev/api/apps/${a.id}/rotate-secret`)}, { method: "POST" });
+      location.reload();
+    }],
+  ]);
+});`,
+        }
+      )
+    );
+  });
+
+  dev.get("/api/apps/:appId/credentials", findApp, (req, res) => {
+    const a = req.mockApp;
+    const app = { id: a.id, title: a.name };
+    if (state.variants.credentials === "network") Object.assign(app, { clientId: a.client_id, clientSecret: a.client_secret });
+    res.json({ data: { app } });
+  });
+
+  dev.post("/api/apps/:appId/rotate-secret", findApp, (req, res) => {
+    const a = req.mockApp;
+    if (state.variants.rotation_ignored) return res.json({ data: { app: { id: a.id, clientSecret: a.client_secret } } });
+
+    const graceHours = Number(state.variants.secret_grace_hours) || 0;
+    a.previous_secret = graceHours
+      ? { value: a.client_secret, expires_at: new Date(Date.now() + graceHours * 3_600_000).toISOString() }
+      : null;
+    a.client_secret = `shpss_${hex(16)}`;
+    console.log(`MOCK rotated client secret of app ${a.id}`);
+    res.json({ data: { app: { id: a.id, clientSecret: a.client_secret } } });
+  });
+
+  // ---- partners ----
+  const partners = express.Router();
+  partners.use(requireSession("partners"));
+
+  const distPath = (pid, appId) => `/partners/${pid}/apps/${appId}/distribution`;
+
+  partners.get("/:partnersId/apps", (req, res) => {
+    const rows = [...state.apps.values()]
+      .map((a) => `<li><a href="${distPath(req.params.partnersId, a.id)}">${esc(a.name)}</a></li>`)
+      .join("");
+    res.send(page("Apps", `<h1>Apps</h1><ul>${rows || "<li>No apps yet</li>"}</ul>`));
+  });
+
+  partners.get("/:partnersId/apps/:appId/distribution", findApp, (req, res) => {
+    const a = req.mockApp;
+    const v = state.variants;
+    const action = distPath(req.params.partnersId, a.id);
+
+    if (v.distribution === "unavailable") return res.redirect(`/partners/${req.params.partnersId}/apps`);
+
+    if (a.distribution === "custom") {
+      const links = a.links.map((l) => `<li>${esc(l.store_domain)}: ${esc(l.install_link)}</li>`).join("");
+      return res.send(
+        page(
+          "Distribution",
+          `<h1>Distribution</h1>
+<p>Custom distribution</p>
+<label for="PolarisTextField1">Store domain</label>
+<input type="text" id="PolarisTextField1" placeholder="example.myshopify.com">
+<button type="button" id="generate">Generate link</button>
+<div id="result"></div>
+<h2>Previous links</h2>
+<ul>${links}</ul>`,
+          {
+            variants: v,
+            script: `
+const result = document.getElementById("result");
+document.getElementById("generate").addEventListener("click", () => {
+  const store_domain = document.getElementById("PolarisTextField1").value.trim();
+  openModal("Generate link", "Only this store can install the app with the link.", [
+    ["Cancel", closeModal],
+    ["Generate link", async () => {
+      closeModal();
+      const res = await fetch(${inlineJson(`${action}/links`)}, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ store_domain }),
+      });
+      const body = await res.json();
+      if (res.ok) {
+        result.innerHTML = '<label for="install_link">Install link</label><input type="text" id="install_link" readonly>';
+        document.getElementById("install_link").value = body.data.installLink;
+      } else {
+        result.innerHTML = '<div class="Polaris-InlineError"></div>';
+        result.firstChild.textContent = body.errors[0].message;
+      }
+    }],
+  ]);
+});`,
+          }
+        )
+      );
+    }
+
+    const choose =
+      v.distribution === "card"
+        ? `<label><input type="radio" name="method" value="custom"> Custom distribution</label>
+<label><input type="radio" name="method" value="public"> Public distribution</label>
+<button type="button" id="select">Select</button>
+<div id="error"></div>`
+        : `<h2>Custom distribution</h2>
+<button type="button" id="select">Select custom distribution</button>
+<h2>Public distribution</h2>
+<button type="button" disabled>Publish on the Shopify App Store</button>`;
+
+    res.send(
+      page(
+        "Distribution",
+        `<h1>Distribution</h1>
+${choose}
+<form id="method-form" method="post" action="${action}"><input type="hidden" name="method" value="custom"></form>`,
+        {
+          variants: v,
+          script: `
+document.getElementById("select").addEventListener("click", () => {
+  const radio = document.querySelector('input[name="method"]:checked');
+  if (${inlineJson(v.distribution === "card")} && radio?.value !== "custom") {
+    document.getElementById("error").textContent = "Choose a distribution method";
+    return;
+  }
+  openModal("Select custom distribution?", "You can't change the distribution method later.", [
+    ["Cancel", closeModal],
+    ["Select", () => document.getElementById("method-form").submit()],
+  ]);
+});`,
+        }
+      )
+    );
+  });
+
+  partners.post("/:partnersId/apps/:appId/distribution", findApp, (req, res) => {
+    if (req.body.method === "custom") req.mockApp.distribution = "custom";
+    res.redirect(303, distPath(req.params.partnersId, req.mockApp.id));
+  });
+
+  partners.post("/:partnersId/apps/:appId/distribution/links", findApp, (req, res) => {
+    const a = req.mockApp;
+    const store_domain = String(req.body?.store_domain || "").trim().toLowerCase();
+
+    if (a.distribution !== "custom") {
+      return res.status(422).json({ errors: [{ message: "Select custom distribution first" }] });
+    }
+    if (!/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(store_domain)) {
+      return res.status(422).json({ errors: [{ message: "Enter a valid myshopify.com domain" }] });
+    }
+    if (asList(state.variants.refuse_domains).includes(store_domain)) {
+      return res.status(422).json({
+        errors: [{ message: "This store isn't part of your Shopify Plus organization" }],
+      });
+    }
+
+    const shop = store_domain.replace(/\.myshopify\.com$/, "");
+    const install_link =
+      `https://admin.shopify.com/store/${shop}/oauth/install_custom_app` +
+      `?client_id=${a.client_id}&no_redirect=true&signature=${hex(24)}`;
+    a.links.push({ store_domain, install_link });
+    console.log(`MOCK generated install link for ${store_domain} (app ${a.id})`);
+    res.json({ data: { installLink: install_link } });
+  });
+
+  app.use("/accounts", accounts);
+  app.use("/dev", dev);
+  app.use("/partners", partners);
+
+  return { app, state };
+}
+
+function variantsFromEnv() {
+  const json = process.env.MOCK_SHOPIFY_VARIANTS?.trim();
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    throw new Error("Invalid MOCK_SHOPIFY_VARIANTS (must be valid JSON)");
+  }
+}
+
+// Started directly (npm run mock:shopify) rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_SHOPIFY_PORT || 4010);
+  const { app, state } = createShopifyMock({ variants: variantsFromEnv() });
+
+  app.listen(port, "127.0.0.1", () => {
+    const base = `http://127.0.0.1:${port}`;
+    console.log(`Mock Shopify listening on ${base}`);
+    console.log("Variants:", JSON.stringify(state.variants));
+    console.log("Point the flow at it with:");
+    console.log(`  SHOPIFY_DEV_BASE_URL=${base}/dev`);
+    console.log(`  SHOPIFY_PARTNERS_BASE_URL=${base}/partners`);
+    console.log(`  SHOPIFY_ACCOUNTS_BASE_URL=${base}/accounts`);
+    console.log(`  SHOPIFY_DEV_DASHBOARD_URL=${base}/dev/dashboard/1/apps`);
+  });
+}
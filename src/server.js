@@ -1,33 +1,306 @@
 import "dotenv/config";
 import express from "express";
 import http from "node:http";
-import { generateShopifyApp } from "./lib/generateShopifyApp.js";
+import crypto from "node:crypto";
+import {
+  createJob,
+  getJob,
+  findActiveJob,
+  findJobByAppId,
+  findJobByIdempotencyKey,
+  JOB_STATUS,
+} from "./lib/jobStore.js";
+import { enqueueJob, recoverJobs, resumeJob, queuePosition, runnerStatus } from "./lib/jobRunner.js";
+import { APP_CONFIG_FIELDS, resolveAppConfig, mergeAppConfig, validateAppConfig } from "./lib/appConfig.js";
+import { sessionStatus, probeSession, saveStorageState, startSessionRefresh } from "./lib/shopifySession.js";
+import { listHandoffs, getHandoff, viewerHtml, attachHandoffServer } from "./lib/loginHandoff.js";
+import { loadProfiles, resolveProfile, publicProfile } from "./lib/profiles.js";
+import { browserPoolStatus } from "./lib/browser.js";
+import { httpStatusFor } from "./lib/errors.js";
+import { listRunArtifacts, runArtifactPath, startRunArtifactsPruning } from "./lib/runArtifacts.js";
+import { log } from "./lib/logger.js";
+import { renderMetrics, registerCollector } from "./lib/metrics.js";
+import { checkReadiness } from "./lib/readiness.js";
+import { apiAuthDisabled, loadApiKeys, authenticateRequest, keyAllows, takeRateLimit } from "./lib/apiAuth.js";
+import { audit, readAudit } from "./lib/audit.js";
+import { loadVaultKeys, revealCredentials, vaultedProfile, credentialsRef } from "./lib/credentialVault.js";
+import { loadInventory, inventoryIsStale, buildInventory } from "./lib/appInventory.js";
 
-const required = ["SHOPIFY_EMAIL", "SHOPIFY_PASSWORD", "SHOPIFY_DEV_DASHBOARD_URL"];
+const required = ["SHOPIFY_EMAIL", "SHOPIFY_PASSWORD"];
 for (const k of required) {
   if (!process.env[k]) {
-    console.error(`Missing required env var: ${k}`);
+    log.error(`Missing required env var: ${k}`);
+    process.exit(1);
+  }
+}
+
+// SHOPIFY_DEV_DASHBOARD_URL (single organization) or PROFILES_PATH / PROFILES_JSON
+try {
+  const { profiles } = loadProfiles();
+  log.info("Profiles:", Object.keys(profiles).join(", "));
+} catch (err) {
+  log.error(err.message);
+  process.exit(1);
+}
+
+// CREDENTIALS_KEY: scraped client secrets are only ever stored encrypted with it
+try {
+  loadVaultKeys();
+} catch (err) {
+  log.error(err.message);
+  process.exit(1);
+}
+
+// API_KEY or API_KEYS_PATH / API_KEYS_JSON; the generator endpoints hand out client secrets, so no keys = no start
+if (apiAuthDisabled()) {
+  log.warn("API_AUTH=off: the generator endpoints accept unauthenticated requests");
+} else {
+  try {
+    const keys = Object.keys(loadApiKeys());
+    if (!keys.length) {
+      throw new Error("No API keys configured: set API_KEY or API_KEYS_PATH / API_KEYS_JSON (API_AUTH=off for local development)");
+    }
+    log.info("API keys:", keys.join(", "));
+  } catch (err) {
+    log.error(err.message);
     process.exit(1);
   }
 }
 
 const app = express();
 app.set("trust proxy", true);
-app.use(express.json({ limit: "2mb" }));
+app.use(
+  express.json({
+    limit: "2mb",
+    // Signed requests are verified against the body exactly as sent
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
-// Give long-running Playwright requests plenty of time
-app.use((req, res, next) => {
-  // 10 minutes (adjust if you want)
-  res.setTimeout(10 * 60 * 1000);
-  next();
+// Liveness: the process is up. Whether it can actually run a job is GET /ready.
+app.get("/health", (_req, res) => {
+  res.json({ ok: true, runner: runnerStatus(), browser: browserPoolStatus() });
 });
 
-app.get("/health", (_req, res) => {
-  res.json({ ok: true });
+// Readiness: a browser context opens and every profile's stored session still works (503 otherwise)
+app.get("/ready", async (_req, res) => {
+  const result = await checkReadiness();
+  res.status(result.ok ? 200 : 503).json(result);
 });
 
-app.post("/shopify/app-generator", async (req, res) => {
-  const { brand_name, store_domain } = req.body || {};
+registerCollector(() => {
+  const runner = runnerStatus();
+  return [
+    { name: "shopify_jobs_queued", help: "Jobs waiting for a run slot", type: "gauge", samples: [{ value: runner.queued }] },
+    { name: "shopify_jobs_running", help: "Jobs running now", type: "gauge", samples: [{ value: runner.running }] },
+    {
+      name: "shopify_browser_open_contexts",
+      help: "Browser contexts open in the shared Chromium",
+      type: "gauge",
+      samples: [{ value: browserPoolStatus().open_contexts }],
+    },
+  ];
+});
+
+registerCollector(() => {
+  const statuses = Object.values(loadProfiles().profiles).map((profile) => sessionStatus(profile));
+  const secondsSince = (iso) => (iso ? (Date.now() - Date.parse(iso)) / 1000 : NaN);
+  const secondsUntil = (iso) => (iso ? (Date.parse(iso) - Date.now()) / 1000 : NaN);
+
+  return [
+    {
+      name: "shopify_session_age_seconds",
+      help: "Seconds since the stored session was saved",
+      type: "gauge",
+      samples: statuses.map((s) => ({ labels: { profile: s.profile, source: s.source }, value: secondsSince(s.updated_at) })),
+    },
+    {
+      name: "shopify_session_probe_ok",
+      help: "1 when the last session probe got past Shopify Accounts",
+      type: "gauge",
+      samples: statuses
+        .filter((s) => s.last_probe)
+        .map((s) => ({ labels: { profile: s.profile }, value: s.last_probe.ok ? 1 : 0 })),
+    },
+    {
+      name: "shopify_session_cookie_expiry_seconds",
+      help: "Seconds until the earliest persistent cookie of the stored session expires",
+      type: "gauge",
+      samples: statuses.flatMap((s) =>
+        Object.entries(s.cookies || {}).map(([site, c]) => ({
+          labels: { profile: s.profile, site },
+          value: secondsUntil(c.earliest_expiry),
+        }))
+      ),
+    },
+  ];
+});
+
+app.get("/metrics", (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Progress without the scraped credentials (those only appear in the final result)
+function publicCheckpoint(checkpoint = {}) {
+  return {
+    app_id: checkpoint.app_id || null,
+    version_released: !!checkpoint.version_released,
+    credentials_scraped: !!checkpoint.credentials_scraped,
+    link_generated: !!checkpoint.link_generated,
+  };
+}
+
+function jobResponse(job) {
+  const body = {
+    ok: job.status !== JOB_STATUS.FAILED,
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    // place in line while waiting for a free run slot (1 = next to start)
+    queue_position: job.status === JOB_STATUS.QUEUED ? queuePosition(job.id) : undefined,
+    step: job.step,
+    attempt: job.attempt,
+    checkpoint: job.type === "app-generator" ? publicCheckpoint(job.checkpoint) : undefined,
+    error: job.error,
+    retryable: job.status === JOB_STATUS.FAILED ? !!job.error?.retryable : undefined,
+    requested_by: job.requested_by ?? null,
+    status_url: `/jobs/${job.id}`,
+    // screenshots, failure page dumps and the trace (admin token)
+    artifacts_url: `/runs/${job.id}/artifacts`,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    duration_ms: job.started_at ? (job.finished_at ? Date.parse(job.finished_at) : Date.now()) - Date.parse(job.started_at) : null,
+    // start, end and duration of every step the run went through (per attempt)
+    steps: job.steps || [],
+  };
+
+  if (job.status === JOB_STATUS.SUCCEEDED) {
+    return { ...body, result: job.result };
+  }
+
+  return body;
+}
+
+// Request `app_spec` plus any top-level shorthand fields (app_url, scopes, ...)
+function appConfigOverrides(body) {
+  return {
+    ...body.app_spec,
+    ...Object.fromEntries(APP_CONFIG_FIELDS.filter((k) => k in body).map((k) => [k, body[k]])),
+  };
+}
+
+// Organization profile by name, the default one when omitted.
+// Sends a 400 and returns null when the name is unknown.
+function requestProfile(res, name) {
+  if (name !== undefined && typeof name !== "string") {
+    res.status(400).json({ error: "profile must be a string" });
+    return null;
+  }
+
+  try {
+    return resolveProfile(name);
+  } catch (err) {
+    if (err.name !== "ProfileError") throw err;
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+// Generator API routes: a valid API key (see apiAuth.js) with the `endpoint` scope, when given.
+// Sets req.apiKey (null when API_AUTH=off). Routes that start runs count against the key's rate limit.
+function requireApiKey(endpoint, { rateLimited = true } = {}) {
+  return (req, res, next) => {
+    req.apiKey = null;
+    if (apiAuthDisabled()) return next();
+
+    const request = { method: req.method, path: req.originalUrl, ip: req.ip };
+    try {
+      const { key, method } = authenticateRequest(req);
+      req.apiKey = key;
+      req.apiAuthMethod = method;
+
+      if (!keyAllows(key, { endpoint })) {
+        audit("auth.forbidden", { key: key.name, ...request, endpoint });
+        return res.status(403).json({ error: `API key "${key.name}" may not use ${endpoint}` });
+      }
+
+      if (rateLimited) {
+        const limit = takeRateLimit(key);
+        res.set({
+          "RateLimit-Limit": String(limit.limit),
+          "RateLimit-Remaining": String(limit.remaining),
+          "RateLimit-Reset": String(limit.reset_seconds),
+        });
+      }
+    } catch (err) {
+      if (err.name !== "ApiAuthError") throw err;
+      if (err.status === 429) {
+        audit("auth.rate_limited", { key: err.key, ...request });
+        res.set("Retry-After", String(err.retry_after_seconds));
+      } else {
+        audit("auth.failed", { key: err.key ?? null, ...request, reason: err.message });
+      }
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    return next();
+  };
+}
+
+// Whether the request's API key may act in this organization profile; sends a 403 when not.
+function apiKeyAllowsProfile(req, res, profile) {
+  if (!req.apiKey || keyAllows(req.apiKey, { profile: profile.name })) return true;
+
+  audit("auth.forbidden", { key: req.apiKey.name, method: req.method, path: req.originalUrl, profile: profile.name });
+  res.status(403).json({ error: `API key "${req.apiKey.name}" may not use profile ${profile.name}` });
+  return false;
+}
+
+// A key sees the jobs it started, plus any its scopes would have let it start
+function apiKeyMaySee(req, job) {
+  if (!req.apiKey || job.requested_by === req.apiKey.name) return true;
+  return keyAllows(req.apiKey, { endpoint: job.type, profile: job.input?.profile });
+}
+
+// Create + enqueue a job on behalf of the request's API key, recorded in the audit log
+function startJob(req, { type, input, idempotency_key = null }) {
+  const job = createJob({ type, input, idempotency_key, requested_by: req.apiKey?.name ?? null });
+  enqueueJob(job.id);
+
+  if (req.apiKey) {
+    audit("job.created", {
+      key: req.apiKey.name,
+      auth: req.apiAuthMethod,
+      ip: req.ip,
+      job_id: job.id,
+      type,
+      profile: input.profile,
+      app_id: input.app_id ?? null,
+      brand_name: input.brand_name,
+      store_domain: input.store_domain,
+      store_domains: input.store_domains,
+    });
+  }
+  return job;
+}
+
+function isFinished(job) {
+  return job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+}
+
+// A failed job answers with its error code's status (see errors.js), so clients can branch on either;
+// jobs stored before error.http_status was recorded get it from their code
+function jobHttpStatus(job, { pending = 200 } = {}) {
+  if (job.status === JOB_STATUS.FAILED) return job.error?.http_status ?? httpStatusFor(job.error);
+  return isFinished(job) ? 200 : pending;
+}
+
+app.post("/shopify/app-generator", requireApiKey("app-generator"), (req, res) => {
+  const body = req.body || {};
+  const { brand_name, store_domain, reuse_existing_app } = body;
 
   if (!brand_name || typeof brand_name !== "string") {
     return res.status(400).json({ error: "brand_name is required" });
@@ -37,48 +310,438 @@ app.post("/shopify/app-generator", async (req, res) => {
     return res.status(400).json({ error: "store_domain must include myshopify.com" });
   }
 
-  try {
-    console.log(`[${new Date().toISOString()}] starting generateShopifyApp`, {
+  if (body.app_spec !== undefined && (typeof body.app_spec !== "object" || Array.isArray(body.app_spec))) {
+    return res.status(400).json({ error: "app_spec must be an object" });
+  }
+
+  const profile = requestProfile(res, body.profile);
+  if (!profile || !apiKeyAllowsProfile(req, res, profile)) return;
+
+  // Optional per-request app spec (+ top-level shorthand fields); anything omitted falls back to profile/env defaults
+  const overrides = appConfigOverrides(body);
+  const app_config = resolveAppConfig(overrides, profile);
+  const invalid = validateAppConfig(app_config);
+  if (invalid.length) {
+    return res.status(400).json({ error: "Invalid app configuration", details: invalid });
+  }
+
+  // Client retries with the same Idempotency-Key get the original job (and its result once done)
+  const idempotencyKey = req.get("Idempotency-Key")?.trim() || null;
+  if (idempotencyKey) {
+    const original = findJobByIdempotencyKey("app-generator", idempotencyKey);
+    if (original) {
+      if (
+        original.input.brand_name !== brand_name ||
+        original.input.store_domain !== store_domain ||
+        (original.input.profile || profile.name) !== profile.name ||
+        (original.requested_by ?? null) !== (req.apiKey?.name ?? null)
+      ) {
+        return res.status(422).json({
+          error: "Idempotency-Key was already used with a different brand_name/store_domain/profile or API key",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(jobHttpStatus(original, { pending: 202 })).json(jobResponse(original));
+    }
+  }
+
+  // Without a key, still never run two jobs for the same brand + store (in the same organization) at once
+  const active = findActiveJob("app-generator", { brand_name, store_domain, profile: profile.name });
+  if (active) {
+    return res.status(202).json({ ...jobResponse(active), deduplicated: true });
+  }
+
+  const job = startJob(req, {
+    type: "app-generator",
+    input: {
       brand_name,
       store_domain,
-    });
+      profile: profile.name,
+      reuse_existing_app: reuse_existing_app !== false,
+      app_config,
+    },
+    idempotency_key: idempotencyKey,
+  });
 
-const result = await generateShopifyApp({ brand_name, store_domain });
+  log.info(`queued generateShopifyApp job ${job.id}`, {
+    brand_name,
+    store_domain,
+    profile: profile.name,
+    requested_by: job.requested_by,
+  });
 
-console.log(`[${new Date().toISOString()}] generateShopifyApp success`, {
-  has_client_id: !!result?.client_id,
-  has_client_secret: !!result?.client_secret,
-  has_distribution_link: !!result?.distribution_link,
+  return res.status(202).json(jobResponse(job));
 });
 
-// “Envelope” makes Retool easier to bind to, while still returning the same top-level fields
-return res.status(200).json({
-  ok: true,
-  result,
-  ...result,
+// Release a new version of an app this service created, changing only the given fields
+app.post("/shopify/apps/:appId/versions", requireApiKey("release-version"), (req, res) => {
+  const { appId } = req.params;
+  const body = req.body || {};
+
+  if (!/^\d+$/.test(appId)) {
+    return res.status(400).json({ error: "appId must be numeric" });
+  }
+
+  const created = findJobByAppId(appId);
+  if (!created) {
+    return res.status(404).json({ error: `App ${appId} was not created by this service` });
+  }
+
+  if (body.app_spec !== undefined && (typeof body.app_spec !== "object" || Array.isArray(body.app_spec))) {
+    return res.status(400).json({ error: "app_spec must be an object" });
+  }
+
+  // The app lives in the organization it was created in
+  const profile = requestProfile(res, created.input.profile);
+  if (!profile || !apiKeyAllowsProfile(req, res, profile)) return;
+
+  const app_config = appConfigOverrides(body);
+  if (!Object.keys(app_config).length) {
+    return res.status(400).json({ error: "Nothing to change: pass app_spec and/or top-level app fields" });
+  }
+
+  // Early sanity check against the config the app was created with; the run re-checks against the live form
+  const invalid = validateAppConfig(mergeAppConfig(created.input.app_config || resolveAppConfig({}, profile), app_config));
+  if (invalid.length) {
+    return res.status(400).json({ error: "Invalid app configuration", details: invalid });
+  }
+
+  const active = findActiveJob("release-version", { app_id: appId });
+  if (active) {
+    return res.status(409).json({ ...jobResponse(active), error: "A version release for this app is already in progress" });
+  }
+
+  const job = startJob(req, { type: "release-version", input: { app_id: appId, profile: profile.name, app_config } });
+
+  return res.status(202).json(jobResponse(job));
 });
+
+// Issue extra custom-distribution install links (one per store domain) for an existing app
+app.post("/shopify/apps/:appId/distribution-links", requireApiKey("distribution-links"), (req, res) => {
+  const { appId } = req.params;
+  const body = req.body || {};
+
+  if (!/^\d+$/.test(appId)) {
+    return res.status(400).json({ error: "appId must be numeric" });
+  }
+
+  const raw = body.store_domains ?? (body.store_domain ? [body.store_domain] : []);
+  if (!Array.isArray(raw) || !raw.length) {
+    return res.status(400).json({ error: "store_domains must be a non-empty array" });
+  }
+
+  const store_domains = [...new Set(raw.map((d) => String(d || "").trim().toLowerCase()))];
+  const invalid = store_domains.filter((d) => !d.includes("myshopify.com"));
+  if (invalid.length) {
+    return res.status(400).json({ error: "every store domain must include myshopify.com", details: invalid });
+  }
+
+  // Explicit profile, else the organization the app was created in, else the default
+  const profile = requestProfile(res, body.profile ?? findJobByAppId(appId)?.input.profile);
+  if (!profile || !apiKeyAllowsProfile(req, res, profile)) return;
+
+  const job = startJob(req, { type: "distribution-links", input: { app_id: appId, profile: profile.name, store_domains } });
+
+  return res.status(202).json(jobResponse(job));
+});
+
+function queryFlag(value) {
+  return value === "1" || value === "true";
+}
+
+// Every app on the organization's Dev Dashboard, cross-referenced with what this service created
+// (see appInventory.js). Answers from the cached list; ?refresh=1, or a list older than
+// APP_INVENTORY_MAX_AGE_MINUTES, also starts an "app-inventory" job to read it again (`refresh`).
+// No cached list yet: 202 with that job. Filters: ?abandoned=1, ?managed=1|0, ?brand=
+app.get("/shopify/apps", requireApiKey("app-inventory"), (req, res) => {
+  const profile = requestProfile(res, req.query.profile);
+  if (!profile || !apiKeyAllowsProfile(req, res, profile)) return;
+
+  const snapshot = loadInventory(profile.name);
+  let refresh = null;
+  if (!snapshot || queryFlag(req.query.refresh) || inventoryIsStale(snapshot)) {
+    refresh =
+      findActiveJob("app-inventory", { profile: profile.name }) ||
+      startJob(req, { type: "app-inventory", input: { profile: profile.name } });
+  }
+
+  if (!snapshot) {
+    return res.status(202).json({ profile: profile.name, scraped_at: null, apps: null, refresh: jobResponse(refresh) });
+  }
+
+  const { apps, missing_from_dashboard, summary } = buildInventory(snapshot, profile.name);
+  const { abandoned, managed, brand } = req.query;
+  const listed = apps.filter(
+    (a) =>
+      (abandoned === undefined || a.abandoned === queryFlag(abandoned)) &&
+      (managed === undefined || a.managed === queryFlag(managed)) &&
+      (brand === undefined || String(a.brand_name || "").toLowerCase() === String(brand).toLowerCase())
+  );
+
+  return res.json({
+    profile: profile.name,
+    scraped_at: snapshot.scraped_at,
+    age_seconds: Math.round((Date.now() - Date.parse(snapshot.scraped_at)) / 1000),
+    stale: inventoryIsStale(snapshot),
+    // the list had more pages than APP_INVENTORY_MAX_PAGES; missing_from_dashboard is left empty then
+    truncated: !!snapshot.truncated,
+    summary,
+    apps: listed,
+    missing_from_dashboard,
+    refresh: refresh ? jobResponse(refresh) : null,
+  });
+});
+
+// Session admin routes: Authorization: Bearer $SESSION_ADMIN_TOKEN (disabled when unset)
+function requireSessionAdmin(req, res, next) {
+  const expected = process.env.SESSION_ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: "Session admin is disabled (SESSION_ADMIN_TOKEN not set)" });
+  }
+
+  const given = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  return next();
+}
+
+// Configured organization profiles (names and IDs only)
+app.get("/profiles", requireSessionAdmin, (_req, res) => {
+  const { default: defaultName, profiles } = loadProfiles();
+  res.json({ default: defaultName, profiles: Object.values(profiles).map(publicProfile) });
+});
+
+// Session routes take ?profile=<name> (default profile when omitted)
+// Where the session comes from, cookie expiry per site and the last probe
+app.get("/session", requireSessionAdmin, (req, res) => {
+  const profile = requestProfile(res, req.query.profile);
+  if (!profile) return;
+  res.json({ ...sessionStatus(profile), handoffs: listHandoffs() });
+});
+
+// Runs paused on a Shopify login wall, each with the viewer URL an operator opens to finish the login
+app.get("/session/handoffs", requireSessionAdmin, (_req, res) => {
+  res.json({ handoffs: listHandoffs() });
+});
+
+// Remote view of a paused run's page (the per-handoff token in the URL is the credential)
+app.get("/handoff/:id", (req, res) => {
+  const handoff = getHandoff(req.params.id, req.query.token);
+  if (!handoff) {
+    return res.status(404).json({ error: "Handoff not found or already finished" });
+  }
+
+  res.set("Cache-Control", "no-store");
+  return res.type("html").send(viewerHtml(handoff));
+});
+
+// Check now that the session still reaches the dev dashboard and Partners
+app.post("/session/probe", requireSessionAdmin, async (req, res) => {
+  const profile = requestProfile(res, req.query.profile);
+  if (!profile) return;
+  const probe = await probeSession(profile);
+  res.status(probe.ok ? 200 : 503).json({ ...sessionStatus(profile), probe });
+});
+
+// Replace the stored session with a fresh storageState (from `npm run session:login`), no redeploy needed
+app.put("/session/storage-state", requireSessionAdmin, async (req, res) => {
+  const profile = requestProfile(res, req.query.profile);
+  if (!profile) return;
+
+  const state = req.body?.storage_state ?? req.body;
+  try {
+    saveStorageState(profile, state, { source: "upload" });
   } catch (err) {
-    console.error("generateShopifyApp error:", err);
-    return res.status(500).json({
-      error: err?.message || "Unknown error",
-      name: err?.name,
-      // helpful when Retool shows you the JSON:
-      ts: new Date().toISOString(),
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (queryFlag(req.query.probe)) {
+    const probe = await probeSession(profile);
+    return res.status(probe.ok ? 200 : 422).json({ ...sessionStatus(profile), probe });
+  }
+
+  return res.json(sessionStatus(profile));
+});
+
+// Rotate an app's client secret (e.g. after a leak). The finished job hands out the new secret once
+// (GET /jobs/:id); the vault keeps it either way.
+app.post("/shopify/apps/:appId/rotate-secret", requireApiKey("rotate-secret"), (req, res) => {
+  const { appId } = req.params;
+  if (!/^\d+$/.test(appId)) {
+    return res.status(400).json({ error: "appId must be numeric" });
+  }
+
+  const profile = requestProfile(res, req.body?.profile ?? vaultedProfile(appId) ?? findJobByAppId(appId)?.input.profile);
+  if (!profile || !apiKeyAllowsProfile(req, res, profile)) return;
+
+  // Two rotations racing would leave nobody knowing which secret is current
+  const active = findActiveJob("rotate-secret", { app_id: appId });
+  if (active) {
+    return res.status(409).json({ ...jobResponse(active), error: "A secret rotation for this app is already in progress" });
+  }
+
+  const job = startJob(req, { type: "rotate-secret", input: { app_id: appId, profile: profile.name } });
+  return res.status(202).json(jobResponse(job));
+});
+
+// The first poll of a finished rotation gets the new secret, through the same one-time reveal as
+// GET /apps/:appId/credentials (and only while the vault still holds that secret)
+function rotatedSecret(req, job) {
+  if (job.type !== "rotate-secret" || job.status !== JOB_STATUS.SUCCEEDED) return null;
+
+  const ref = credentialsRef(job.result.app_id);
+  if (!ref || ref.secret_revealed || ref.secret_fingerprint !== job.result.credentials?.secret_fingerprint) return null;
+
+  const { client_secret } = revealCredentials(job.result.app_id, { by: req.apiKey?.name ?? null });
+  audit("credentials.read", {
+    key: req.apiKey?.name ?? null,
+    ip: req.ip,
+    app_id: job.result.app_id,
+    job_id: job.id,
+    secret_revealed: !!client_secret,
+  });
+  return client_secret;
+}
+
+// Stored credentials of an app; the client secret is in the first response only (see credentialVault.js)
+app.get("/apps/:appId/credentials", requireApiKey("credentials"), (req, res) => {
+  const { appId } = req.params;
+  if (!/^\d+$/.test(appId)) {
+    return res.status(400).json({ error: "appId must be numeric" });
+  }
+
+  const profile = vaultedProfile(appId);
+  if (profile && !apiKeyAllowsProfile(req, res, { name: profile })) return;
+
+  const credentials = revealCredentials(appId, { by: req.apiKey?.name ?? null });
+  if (!credentials) {
+    return res.status(404).json({ error: `No credentials stored for app ${appId}` });
+  }
+
+  audit("credentials.read", {
+    key: req.apiKey?.name ?? null,
+    ip: req.ip,
+    app_id: appId,
+    secret_revealed: !!credentials.client_secret,
+  });
+
+  res.set("Cache-Control", "no-store");
+  if (!credentials.client_secret && credentials.revealed) {
+    return res.status(410).json({
+      ...credentials,
+      error: `The client secret was already revealed (${credentials.revealed.at}); re-scrape it to read it again`,
     });
   }
+  return res.json(credentials);
+});
+
+// Read an app's Client ID/secret from its settings page again (e.g. after rotating the secret in the
+// Dev Dashboard); the vault keeps the new values and the secret can be revealed once more
+app.post("/apps/:appId/credentials/rescrape", requireApiKey("scrape-credentials"), (req, res) => {
+  const { appId } = req.params;
+  if (!/^\d+$/.test(appId)) {
+    return res.status(400).json({ error: "appId must be numeric" });
+  }
+
+  const profile = requestProfile(res, req.body?.profile ?? vaultedProfile(appId) ?? findJobByAppId(appId)?.input.profile);
+  if (!profile || !apiKeyAllowsProfile(req, res, profile)) return;
+
+  const active = findActiveJob("scrape-credentials", { app_id: appId });
+  if (active) {
+    return res.status(202).json({ ...jobResponse(active), deduplicated: true });
+  }
+
+  const job = startJob(req, { type: "scrape-credentials", input: { app_id: appId, profile: profile.name } });
+  return res.status(202).json(jobResponse(job));
+});
+
+// Polling doesn't count against the rate limit
+app.get("/jobs/:id", requireApiKey(null, { rateLimited: false }), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !apiKeyMaySee(req, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  const client_secret = rotatedSecret(req, job);
+  if (client_secret) {
+    res.set("Cache-Control", "no-store");
+    return res.status(jobHttpStatus(job)).json({ ...jobResponse(job), client_secret });
+  }
+  return res.status(jobHttpStatus(job)).json(jobResponse(job));
+});
+
+app.post("/jobs/:id/resume", requireApiKey(null), (req, res) => {
+  const existing = getJob(req.params.id);
+  if (existing && !apiKeyMaySee(req, existing)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  let job;
+  try {
+    job = resumeJob(req.params.id);
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  if (req.apiKey) {
+    audit("job.resumed", { key: req.apiKey.name, auth: req.apiAuthMethod, ip: req.ip, job_id: job.id, type: job.type });
+  }
+  return res.status(202).json(jobResponse(job));
+});
+
+// Audit log of the generator API, newest first (?key=, ?event=, ?job_id=, ?app_id=, ?limit=)
+app.get("/audit", requireSessionAdmin, (req, res) => {
+  const { key, event, job_id, app_id } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({ entries: readAudit({ key, event, job_id, app_id, limit }) });
+});
+
+// Debugging artifacts of a run (run id = job id). Credentials are masked (see runArtifacts.js),
+// but the pages still show the organization's apps and stores, hence the admin token.
+app.get("/runs/:id/artifacts", requireSessionAdmin, (req, res) => {
+  const files = listRunArtifacts(req.params.id);
+  if (!files) {
+    return res.status(404).json({ error: "No artifacts for this run" });
+  }
+
+  return res.json({ run_id: req.params.id, files });
+});
+
+app.get("/runs/:id/artifacts/:name", requireSessionAdmin, (req, res) => {
+  const file = runArtifactPath(req.params.id, req.params.name);
+  if (!file) {
+    return res.status(404).json({ error: "Artifact not found" });
+  }
+
+  res.set("Cache-Control", "no-store");
+  return res.download(file);
 });
 
 const port = process.env.PORT || 3000;
 
-// Use an explicit http server so we can raise server-side timeouts too
+// Use an explicit http server so we can tune keep-alive for proxies
 const server = http.createServer(app);
 
-// 10 minutes (must exceed your longest run)
-server.setTimeout(10 * 60 * 1000);
 // Keep-alive tuning (helps some proxies)
 server.keepAliveTimeout = 75 * 1000;
 server.headersTimeout = 80 * 1000;
 
+// Websocket for the login handoff viewer
+attachHandoffServer(server);
+
+recoverJobs();
+startRunArtifactsPruning();
+startSessionRefresh();
+
 server.listen(port, () => {
-  console.log(`Server listening on port ${port}`);
-});
\ No newline at end of file
+  log.info(`Server listening on port ${port}`);
+});
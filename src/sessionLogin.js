@@ -0,0 +1,14 @@
+import "dotenv/config";
+import { saveShopifyStorageState } from "./lib/shopifyAuth.js";
+
+// npm run session:login [-- --profile <name>] — headed login, saves (and optionally uploads) a fresh Shopify session
+const i = process.argv.indexOf("--profile");
+const profile = i > -1 ? process.argv[i + 1] : undefined;
+
+try {
+  await saveShopifyStorageState({ profile });
+  process.exit(0);
+} catch (err) {
+  console.error(err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,125 @@
+// test/apiAuth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+const SECRET = "s3cret-for-tests-0123456789";
+
+process.env.API_KEYS_JSON = JSON.stringify({
+  keys: {
+    retool: { secret: SECRET, endpoints: ["app-generator"], profiles: ["main"] },
+    signer: { secret: `${SECRET}-signed`, signed_only: true },
+    limited: { secret: `${SECRET}-limited`, rate_limit: { requests: 2, per_seconds: 60 } },
+  },
+});
+delete process.env.API_KEY;
+
+const { authenticateRequest, keyAllows, takeRateLimit, loadApiKeys } = await import("../src/lib/apiAuth.js");
+
+// The bits of an Express request authenticateRequest reads
+function fakeRequest({ method = "POST", url = "/shopify/app-generator", body = "", headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, originalUrl: url, rawBody: Buffer.from(body), get: (name) => lower[name.toLowerCase()] };
+}
+
+function signedRequest({ key = "signer", secret = `${SECRET}-signed`, timestamp = Math.floor(Date.now() / 1000), ...req } = {}) {
+  const { method = "POST", url = "/shopify/app-generator", body = "" } = req;
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${method}.${url}.${body}`).digest("hex");
+  return fakeRequest({ method, url, body, headers: { "X-Api-Key": key, "X-Timestamp": String(timestamp), "X-Signature": signature } });
+}
+
+function rejects(fn, status, message) {
+  assert.throws(fn, (err) => err.name === "ApiAuthError" && err.status === status && message.test(err.message));
+}
+
+// Signatures are accepted once per process, so every signed request gets its own body
+function uniqueBody() {
+  return JSON.stringify({ request: crypto.randomUUID() });
+}
+
+test("bearer secret authenticates its key", () => {
+  const { key, method } = authenticateRequest(fakeRequest({ headers: { Authorization: `Bearer ${SECRET}` } }));
+  assert.equal(key.name, "retool");
+  assert.equal(method, "bearer");
+});
+
+test("unknown bearer secret and missing credentials are 401", () => {
+  rejects(() => authenticateRequest(fakeRequest({ headers: { Authorization: "Bearer nope-nope-nope-nope" } })), 401, /Invalid API key/);
+  rejects(() => authenticateRequest(fakeRequest()), 401, /Missing API key/);
+});
+
+test("signed_only key refuses its secret as a bearer token", () => {
+  rejects(() => authenticateRequest(fakeRequest({ headers: { Authorization: `Bearer ${SECRET}-signed` } })), 401, /only accepts signed/);
+});
+
+test("valid HMAC signature authenticates", () => {
+  const { key, method } = authenticateRequest(signedRequest({ body: uniqueBody() }));
+  assert.equal(key.name, "signer");
+  assert.equal(method, "signature");
+});
+
+test("signature over a different body, path or secret is rejected", () => {
+  const req = signedRequest({ body: uniqueBody() });
+  req.rawBody = Buffer.from(uniqueBody());
+  rejects(() => authenticateRequest(req), 401, /Invalid signature/);
+
+  const moved = signedRequest({ url: "/shopify/apps/1001/versions", body: uniqueBody() });
+  moved.originalUrl = "/shopify/app-generator";
+  rejects(() => authenticateRequest(moved), 401, /Invalid signature/);
+
+  rejects(() => authenticateRequest(signedRequest({ secret: "wrong-secret-wrong-secret", body: uniqueBody() })), 401, /Invalid signature/);
+});
+
+test("a signed request is accepted only once", () => {
+  const body = uniqueBody();
+  authenticateRequest(signedRequest({ body }));
+  rejects(() => authenticateRequest(signedRequest({ body })), 401, /already used/);
+});
+
+test("timestamps outside the tolerance window are rejected", () => {
+  const old = Math.floor(Date.now() / 1000) - 301;
+  rejects(() => authenticateRequest(signedRequest({ timestamp: old, body: uniqueBody() })), 401, /X-Timestamp/);
+  rejects(() => authenticateRequest(signedRequest({ timestamp: "soon", body: uniqueBody() })), 401, /X-Timestamp/);
+});
+
+test("unknown X-Api-Key is rejected", () => {
+  rejects(() => authenticateRequest(signedRequest({ key: "ghost", body: uniqueBody() })), 401, /Unknown API key/);
+});
+
+test("keyAllows checks endpoints and profiles, unrestricted keys allow everything", () => {
+  const keys = loadApiKeys();
+  assert.equal(keyAllows(keys.retool, { endpoint: "app-generator", profile: "main" }), true);
+  // POST /shopify/apps/:appId/versions needs "release-version"
+  assert.equal(keyAllows(keys.retool, { endpoint: "release-version" }), false);
+  assert.equal(keyAllows(keys.retool, { endpoint: "credentials" }), false);
+  assert.equal(keyAllows(keys.retool, { profile: "other" }), false);
+  assert.equal(keyAllows(keys.signer, { endpoint: "credentials", profile: "other" }), true);
+});
+
+test("rate limit counts requests in the window and answers 429 past it", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const key = loadApiKeys().limited;
+
+  assert.equal(takeRateLimit(key).remaining, 1);
+  assert.equal(takeRateLimit(key).remaining, 0);
+  assert.throws(
+    () => takeRateLimit(key),
+    (err) => err.status === 429 && err.retry_after_seconds === 60 && err.limit === 2
+  );
+
+  // The window slides: once the first requests are older than per_seconds they stop counting
+  t.mock.timers.tick(60_001);
+  assert.equal(takeRateLimit(key).remaining, 1);
+});
+
+test("invalid key config fails with ApiKeysError", () => {
+  const saved = process.env.API_KEYS_JSON;
+  try {
+    process.env.API_KEYS_JSON = JSON.stringify({ keys: { short: { secret: "too-short" } } });
+    assert.throws(() => loadApiKeys(), { name: "ApiKeysError" });
+    process.env.API_KEYS_JSON = JSON.stringify({ keys: { bad: { secret: SECRET, endpoints: ["everything"] } } });
+    assert.throws(() => loadApiKeys(), { name: "ApiKeysError", message: /unknown endpoints everything/ });
+  } finally {
+    process.env.API_KEYS_JSON = saved;
+  }
+});
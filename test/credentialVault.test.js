@@ -0,0 +1,115 @@
+// test/credentialVault.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-test-"));
+process.env.STORAGE_DIR = storageDir;
+process.env.CREDENTIALS_KEY = crypto.randomBytes(32).toString("base64");
+delete process.env.CREDENTIALS_PREVIOUS_KEYS;
+
+// storage.js reads STORAGE_DIR when imported
+const { storeCredentials, revealCredentials, storedSecret, credentialsRef, loadVaultKeys } = await import(
+  "../src/lib/credentialVault.js"
+);
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+function vaultFile(appId) {
+  return path.join(storageDir, "vault", `${appId}.json`);
+}
+
+function withKeys(current, previous, fn) {
+  const saved = [process.env.CREDENTIALS_KEY, process.env.CREDENTIALS_PREVIOUS_KEYS];
+  process.env.CREDENTIALS_KEY = current;
+  process.env.CREDENTIALS_PREVIOUS_KEYS = previous;
+  try {
+    return fn();
+  } finally {
+    [process.env.CREDENTIALS_KEY, process.env.CREDENTIALS_PREVIOUS_KEYS] = saved;
+  }
+}
+
+test("the record on disk holds no credential in plain text", () => {
+  storeCredentials("1001", { client_id: "client-id-1001", client_secret: "shpss_secret1001", distribution_links: { "a.myshopify.com": "https://install/1001" } });
+
+  const raw = fs.readFileSync(vaultFile("1001"), "utf8");
+  for (const value of ["client-id-1001", "shpss_secret1001", "https://install/1001"]) {
+    assert.equal(raw.includes(value), false, `${value} leaked into the vault file`);
+  }
+  assert.equal(storedSecret("1001"), "shpss_secret1001");
+});
+
+test("a sealed blob copied into another app's record does not open", () => {
+  storeCredentials("1002", { client_id: "client-id-1002", client_secret: "shpss_secret1002" });
+  storeCredentials("1003", { client_id: "client-id-1003", client_secret: "shpss_secret1003" });
+
+  const victim = JSON.parse(fs.readFileSync(vaultFile("1003"), "utf8"));
+  victim.sealed = JSON.parse(fs.readFileSync(vaultFile("1002"), "utf8")).sealed;
+  fs.writeFileSync(vaultFile("1003"), JSON.stringify(victim));
+
+  assert.throws(() => revealCredentials("1003"), /authenticate/);
+});
+
+test("the secret is revealed once, until a different one is stored", () => {
+  storeCredentials("1004", { client_id: "client-id-1004", client_secret: "shpss_first" });
+
+  const first = revealCredentials("1004", { by: "retool" });
+  assert.equal(first.client_secret, "shpss_first");
+  assert.equal(first.revealed, null);
+
+  const second = revealCredentials("1004", { by: "retool" });
+  assert.equal(second.client_secret, null);
+  assert.equal(second.client_id, "client-id-1004");
+  assert.equal(second.revealed.by, "retool");
+  assert.equal(credentialsRef("1004").secret_revealed, true);
+
+  // Storing the same secret again keeps it revealed; a rotated one is readable once more
+  storeCredentials("1004", { client_secret: "shpss_first" });
+  assert.equal(revealCredentials("1004").client_secret, null);
+  storeCredentials("1004", { client_secret: "shpss_rotated" });
+  assert.equal(revealCredentials("1004").client_secret, "shpss_rotated");
+  assert.equal(revealCredentials("1004").client_secret, null);
+});
+
+test("saves merge: links add up and omitted fields keep their value", () => {
+  storeCredentials("1005", { client_id: "client-id-1005", client_secret: "shpss_1005", distribution_links: { "a.myshopify.com": "https://install/a" } });
+  storeCredentials("1005", { distribution_links: { "b.myshopify.com": "https://install/b" } });
+
+  const stored = revealCredentials("1005");
+  assert.equal(stored.client_id, "client-id-1005");
+  assert.equal(stored.client_secret, "shpss_1005");
+  assert.deepEqual(stored.distribution_links, { "a.myshopify.com": "https://install/a", "b.myshopify.com": "https://install/b" });
+  assert.equal(stored.history.length, 2);
+});
+
+test("records sealed with a previous key stay readable and move to the new key on the next save", () => {
+  const oldKey = process.env.CREDENTIALS_KEY;
+  const newKey = crypto.randomBytes(32).toString("hex");
+  storeCredentials("1006", { client_id: "client-id-1006", client_secret: "shpss_1006" });
+
+  withKeys(newKey, "", () => {
+    assert.throws(() => storedSecret("1006"), { name: "VaultError", message: /unknown key/ });
+  });
+
+  withKeys(newKey, oldKey, () => {
+    assert.equal(storedSecret("1006"), "shpss_1006");
+    storeCredentials("1006", { distribution_links: { "c.myshopify.com": "https://install/c" } });
+    const sealed = JSON.parse(fs.readFileSync(vaultFile("1006"), "utf8")).sealed;
+    assert.equal(sealed.key_id, loadVaultKeys().current.id);
+  });
+
+  // Re-sealed with the new key alone, it no longer needs the old one
+  withKeys(newKey, "", () => {
+    assert.equal(storedSecret("1006"), "shpss_1006");
+  });
+});
+
+test("an unusable CREDENTIALS_KEY fails with VaultError", () => {
+  withKeys("c2hvcnQ=", "", () => {
+    assert.throws(() => loadVaultKeys(), { name: "VaultError", message: /32 bytes/ });
+  });
+});
@@ -0,0 +1,302 @@
+// test/e2e/generateShopifyApp.test.js
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { chromium } from "playwright";
+import { createShopifyMock, DEFAULT_VARIANTS } from "../../src/mock/shopifyMock.js";
+import { resolveAppConfig } from "../../src/lib/appConfig.js";
+
+/**
+ * The browser flows (app generator, version release, secret rotation, apps inventory) against
+ * the offline mock (src/mock/shopifyMock.js), once per UI variant they have to cope with and per
+ * failure they have to report with the right code.
+ *
+ * Needs the Chromium build Playwright expects: run `npm run build` once. Without it every test
+ * here fails, so a green `npm test` always includes these flows.
+ */
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "e2e-"));
+const mock = createShopifyMock();
+let server;
+let base;
+let flows;
+
+before(async () => {
+  server = await new Promise((resolve) => {
+    const s = mock.app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    STORAGE_DIR: storageDir,
+    SHOPIFY_DEV_BASE_URL: `${base}/dev`,
+    SHOPIFY_PARTNERS_BASE_URL: `${base}/partners`,
+    SHOPIFY_ACCOUNTS_BASE_URL: `${base}/accounts`,
+    SHOPIFY_DEV_DASHBOARD_URL: `${base}/dev/dashboard/1/apps`,
+    APP_URL: "https://example.com/app",
+    REDIRECT_URL: "https://example.com/auth/callback",
+    SCOPES_CSV: "read_products,write_products",
+    RUN_TRACE: "off",
+    RETRY_POLICY_JSON: JSON.stringify({ default: { backoff_ms: 0 } }),
+    // Let the shared browser close soon after the last run so the process can exit
+    BROWSER_IDLE_SECONDS: "1",
+  });
+  for (const name of ["PW_HEADED", "SESSION_ADMIN_TOKEN", "PROFILES_PATH", "PROFILES_JSON", "SHOPIFY_STORAGE_STATE_JSON", "SELECTORS_PATH"]) {
+    delete process.env[name];
+  }
+
+  // storage.js reads STORAGE_DIR when imported
+  flows = await import("../../src/lib/generateShopifyApp.js");
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.state.variants = { ...DEFAULT_VARIANTS };
+  mock.state.apps.clear();
+});
+
+test("Chromium is installed", () => {
+  assert.ok(fs.existsSync(chromium.executablePath()), `No browser at ${chromium.executablePath()}: run \`npm run build\``);
+});
+
+function useVariants(variants) {
+  Object.assign(mock.state.variants, variants);
+}
+
+function run(brand_name, store_domain = "e2e-store.myshopify.com", extra = {}) {
+  return flows.generateShopifyApp({ brand_name, store_domain, ...extra });
+}
+
+// An app created through the mock's own create form, without a browser run
+async function createMockApp(name) {
+  await fetch(`${base}/dev/dashboard/1/apps`, { method: "POST", body: new URLSearchParams({ name }), redirect: "manual" });
+  return [...mock.state.apps.values()].at(-1);
+}
+
+// The one app the mock holds after a run
+function mockApp() {
+  const apps = [...mock.state.apps.values()];
+  assert.equal(apps.length, 1);
+  return apps[0];
+}
+
+function activeConfig(app) {
+  return app.versions.find((v) => v.id === app.active_version_id).config;
+}
+
+async function assertFails(promise, code, check = () => {}) {
+  await assert.rejects(promise, (err) => {
+    assert.equal(err.code, code, `expected ${code}, got ${err.code}: ${err.message}`);
+    check(err);
+    return true;
+  });
+}
+
+function assertCreated(result, { secretSource }) {
+  const app = mockApp();
+  assert.equal(result.app_id, String(app.id));
+  assert.equal(result.reused_existing_app, false);
+  assert.equal(result.active_version_id, app.active_version_id);
+  assert.equal(result.client_id, app.client_id);
+  assert.equal(result.client_secret, app.client_secret);
+  assert.equal(result.sources.client_secret, secretSource);
+  assert.equal(app.distribution, "custom");
+  assert.match(result.distribution_link, /\/store\/e2e-store\/oauth\/install_custom_app\?client_id=/);
+  assert.ok(result.distribution_link.includes(app.client_id));
+}
+
+describe("generateShopifyApp", () => {
+  test("direct distribution, dialog modal, credentials from the network", async () => {
+    const result = await run("E2E Direct");
+    assertCreated(result, { secretSource: "network" });
+    assert.equal(result.sources.client_id, "network");
+  });
+
+  test("card + Select distribution, Polaris modal, credentials from the clipboard", async () => {
+    useVariants({ distribution: "card", modal: "polaris", credentials: "clipboard" });
+    assertCreated(await run("E2E Card"), { secretSource: "clipboard" });
+  });
+
+  test("credentials read from the page", async () => {
+    useVariants({ credentials: "dom" });
+    assertCreated(await run("E2E Dom"), { secretSource: "dom" });
+  });
+
+  test("an existing app with the same name is reused", async () => {
+    await run("E2E Reuse");
+    const again = await run("E2E Reuse");
+    assert.equal(again.reused_existing_app, true);
+    assert.equal(again.app_id, String(mockApp().id));
+  });
+
+  test("the released version carries the whole spec", async () => {
+    const app_config = resolveAppConfig({
+      preferences_url: "https://example.com/preferences",
+      webhooks: {
+        api_version: "2026-10",
+        subscriptions: [
+          { topics: ["orders/create"], uri: "https://example.com/webhooks/orders" },
+          { topics: ["app/uninstalled"], uri: "https://example.com/webhooks/app" },
+        ],
+      },
+      compliance: { shop_redact_url: "https://example.com/gdpr/shop" },
+      app_proxy: { prefix: "apps", subpath: "e2e", url: "https://example.com/proxy" },
+    });
+    await run("E2E Spec", undefined, { app_config });
+
+    const released = activeConfig(mockApp());
+    assert.deepEqual(released.webhooks, app_config.webhooks);
+    assert.deepEqual(released.compliance, app_config.compliance);
+    assert.deepEqual(released.app_proxy, app_config.app_proxy);
+    assert.equal(released.preferences_url, app_config.preferences_url);
+  });
+
+  test("login wall on the dashboard fails with SESSION_EXPIRED before creating anything", async () => {
+    useVariants({ login: "dashboard" });
+    await assertFails(run("E2E Login"), "SESSION_EXPIRED", (err) => {
+      assert.equal(err.retryable, false);
+      assert.equal(err.partial, undefined);
+    });
+    assert.equal(mock.state.apps.size, 0);
+  });
+
+  test("login wall on Partners fails with TWO_FACTOR_BLOCKED, keeping the created app", async () => {
+    useVariants({ login: "partners" });
+    await assertFails(run("E2E Partners"), "TWO_FACTOR_BLOCKED", (err) => {
+      assert.equal(err.retryable, false);
+      assert.equal(err.partial.app_id, String(mockApp().id));
+      assert.equal(err.partial.client_secret, undefined, "credentials leaked into the error");
+    });
+  });
+
+  test("an app URL without a readable id fails with APP_ID_NOT_PARSED", async () => {
+    useVariants({ app_url_slug: true });
+    await assertFails(run("E2E Slug"), "APP_ID_NOT_PARSED", (err) => {
+      assert.equal(err.partial.app_name, "E2E Slug x Retention");
+      assert.equal(err.partial.app_id, undefined);
+    });
+  });
+
+  test("a Release button that stays disabled fails with RELEASE_DISABLED", async () => {
+    useVariants({ release_disabled: true });
+    await assertFails(run("E2E Release"), "RELEASE_DISABLED", (err) => {
+      assert.equal(err.retryable, false);
+      assert.equal(err.partial.app_id, String(mockApp().id));
+    });
+  });
+
+  test("a release that never becomes active fails with VERIFICATION_FAILED", async () => {
+    useVariants({ release_inactive: true });
+    await assertFails(run("E2E Inactive"), "VERIFICATION_FAILED", (err) => {
+      assert.equal(err.retryable, true);
+      assert.equal(mockApp().active_version_id, null);
+    });
+  });
+
+  test("a distribution page that never shows the form fails with DISTRIBUTION_FORM_MISSING", async () => {
+    useVariants({ distribution: "unavailable" });
+    await assertFails(run("E2E No Distribution"), "DISTRIBUTION_FORM_MISSING", (err) => {
+      assert.equal(err.retryable, true);
+      assert.equal(err.partial.app_id, String(mockApp().id));
+      assert.equal(err.attempts.filter((a) => a.step === "distribution").length, 3);
+    });
+  });
+
+  test("a store domain Shopify refuses fails with LINK_NOT_GENERATED", async () => {
+    useVariants({ refuse_domains: ["outside-plus.myshopify.com"] });
+    await assertFails(run("E2E Refused", "outside-plus.myshopify.com"), "LINK_NOT_GENERATED", (err) => {
+      assert.equal(err.refused, true);
+      assert.equal(err.retryable, false);
+      assert.equal(err.store_domain, "outside-plus.myshopify.com");
+      assert.match(err.message, /isn't part of your Shopify Plus organization/);
+    });
+    assert.equal(mockApp().links.length, 0);
+  });
+
+  test("missing input fails with INVALID_INPUT", async () => {
+    await assertFails(flows.generateShopifyApp({ store_domain: "e2e-store.myshopify.com" }), "INVALID_INPUT");
+  });
+});
+
+describe("releaseAppVersion", () => {
+  test("removing webhooks, the app proxy and a compliance URL takes effect", async () => {
+    const app_config = resolveAppConfig({
+      webhooks: { subscriptions: [{ topics: ["orders/create"], uri: "https://example.com/webhooks/orders" }] },
+      compliance: { shop_redact_url: "https://example.com/gdpr/shop" },
+      app_proxy: { prefix: "apps", subpath: "e2e", url: "https://example.com/proxy" },
+    });
+    const { app_id } = await run("E2E Removals", undefined, { app_config });
+
+    const result = await flows.releaseAppVersion({
+      app_id,
+      app_config: { webhooks: { subscriptions: [] }, app_proxy: null, compliance: { shop_redact_url: "" } },
+    });
+
+    const released = activeConfig(mockApp());
+    assert.deepEqual(released.webhooks.subscriptions, []);
+    assert.equal(released.app_proxy, null);
+    assert.equal(released.compliance.shop_redact_url, "");
+    assert.deepEqual(result.diff["webhooks.subscriptions"].after, []);
+    assert.equal(result.diff["compliance.shop_redact_url"].after, "");
+    assert.equal(result.active_version_id, mockApp().active_version_id);
+  });
+});
+
+describe("rotateAppSecret", () => {
+  test("reads back the new secret and reports the old one's grace period", async () => {
+    const app = await createMockApp("E2E Rotate");
+    const oldSecret = app.client_secret;
+
+    const result = await flows.rotateAppSecret({ app_id: app.id });
+    assert.equal(result.client_secret, app.client_secret);
+    assert.notEqual(result.client_secret, oldSecret);
+    assert.equal(result.previous_secret.still_valid, true);
+    assert.ok(result.previous_secret.expires_at);
+  });
+
+  test("an old secret revoked right away is reported as no longer valid", async () => {
+    useVariants({ secret_grace_hours: 0 });
+    const app = await createMockApp("E2E Revoke");
+
+    const result = await flows.rotateAppSecret({ app_id: app.id });
+    assert.equal(result.client_secret, app.client_secret);
+    assert.equal(result.previous_secret.still_valid, false);
+  });
+
+  test("a rotation that leaves the secret unchanged fails with SECRET_NOT_ROTATED", async () => {
+    useVariants({ rotation_ignored: true });
+    const app = await createMockApp("E2E Ignored");
+
+    await assertFails(flows.rotateAppSecret({ app_id: app.id }), "SECRET_NOT_ROTATED", (err) => {
+      assert.deepEqual(err.partial, { app_id: app.id, rotation_confirmed: true });
+    });
+  });
+});
+
+describe("listDashboardApps", () => {
+  test("reads every page of the apps list", async () => {
+    useVariants({ apps_page_size: 2 });
+    for (let i = 1; i <= 5; i++) await createMockApp(`E2E Listed ${i}`);
+
+    const result = await flows.listDashboardApps();
+    assert.equal(result.pages, 3);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.apps.map((a) => a.app_id).sort(), [...mock.state.apps.keys()].sort());
+  });
+
+  test("stops at max_pages and reports the list as truncated", async () => {
+    useVariants({ apps_page_size: 2 });
+    for (let i = 1; i <= 5; i++) await createMockApp(`E2E Listed ${i}`);
+
+    const result = await flows.listDashboardApps({ max_pages: 2 });
+    assert.equal(result.pages, 2);
+    assert.equal(result.truncated, true);
+    assert.equal(result.apps.length, 4);
+  });
+});
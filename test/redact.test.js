@@ -0,0 +1,58 @@
+// test/redact.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REDACTED, redactText, redactValue } from "../src/lib/redact.js";
+
+test("Shopify tokens keep their prefix only", () => {
+  assert.equal(redactText("secret shpss_abc123DEF456 here"), `secret shpss_${REDACTED} here`);
+  assert.equal(redactText("token=shpat_0123456789abcdef"), `token=shpat_${REDACTED}`);
+});
+
+test("bearer tokens and cookie headers are masked", () => {
+  assert.equal(redactText("Authorization: Bearer abc.def.ghi"), `Authorization: Bearer ${REDACTED}`);
+  assert.equal(redactText("cookie: _session=abc; koa.sid=xyz"), `cookie: ${REDACTED}`);
+  assert.equal(redactText('"set-cookie": "a=b; Path=/"'), `"set-cookie": "${REDACTED}"`);
+});
+
+test("LONG_TOKEN masks client IDs and other long mixed tokens", () => {
+  const clientId = "a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6";
+  assert.equal(redactText(`Client ID ${clientId}`), `Client ID a1b2…${REDACTED}`);
+  assert.equal(redactText(`id=${clientId}-extra_part`).includes(clientId), false);
+});
+
+test("UUIDs, long words and short ids are left alone", () => {
+  const runId = "3f2b8c1e-4d5a-4b6c-9e7f-0123456789ab";
+  assert.equal(redactText(`run ${runId}`), `run ${runId}`);
+  const word = "a".repeat(40);
+  assert.equal(redactText(word), word);
+  assert.equal(redactText("app 123456789 created"), "app 123456789 created");
+});
+
+test("non-strings pass through redactText", () => {
+  assert.equal(redactText(null), null);
+  assert.equal(redactText(42), 42);
+  assert.equal(redactText(""), "");
+});
+
+test("redactValue blanks secret-named keys and redacts nested strings", () => {
+  const value = {
+    app_id: "123",
+    client_secret: "plain-secret",
+    storage_state: { cookies: [{ name: "a", value: "b" }] },
+    password: "hunter2",
+    nested: [{ note: "shpss_abcdef123456", token: "x" }],
+    secret_revealed: true,
+    access_token: null,
+  };
+
+  assert.deepEqual(redactValue(value), {
+    app_id: "123",
+    client_secret: REDACTED,
+    storage_state: REDACTED,
+    password: REDACTED,
+    nested: [{ note: `shpss_${REDACTED}`, token: REDACTED }],
+    secret_revealed: true,
+    access_token: null,
+  });
+  assert.equal(value.client_secret, "plain-secret", "the input is not modified");
+});